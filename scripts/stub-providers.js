@@ -0,0 +1,99 @@
+// Local stand-in for the OpenAI, Anthropic and Gemini APIs, for trying the provider
+// clients without real keys. It answers in each vendor's response format with a
+// canned agent run, pipeline stage output or judge scores, and made-up token usage.
+//
+//   node scripts/stub-providers.js
+//   OPENAI_BASE_URL=http://localhost:5181/v1 OPENAI_API_KEY=sk-stub \
+//   ANTHROPIC_BASE_URL=http://localhost:5181/v1 ANTHROPIC_API_KEY=stub \
+//   GOOGLE_BASE_URL=http://localhost:5181/v1beta GOOGLE_API_KEY=stub \
+//   OPENAI_COMPAT_BASE_URL=http://localhost:5181/v1 node server/index.js
+//
+// STUB_PORT changes the port; STUB_STATUS=<code> makes every call fail with that status.
+import http from 'node:http'
+
+const port = Number(process.env.STUB_PORT) || 5181
+const failWith = Number(process.env.STUB_STATUS) || 0
+
+const readJSON = async (req) => {
+  let body = ''
+  for await (const chunk of req) body += chunk
+  return body ? JSON.parse(body) : {}
+}
+
+const reply = (system, user, model) => {
+  // The judge lists its criteria as "- <id>: <description>" lines
+  if (system.includes('impartial evaluator')) {
+    const ids = [...system.matchAll(/^\s*- ([\w-]+):/gm)].map((m) => m[1])
+    return JSON.stringify({ criteria: ids.map((id) => ({ id, score: 80, justification: `Stub score for ${id}.` })) })
+  }
+  // Pipeline stages (see server/orchestrate.js) get plain text; critics ask for one revision
+  const stage = system.match(/^You are the (.+) in a (.+) pipeline/)
+  if (stage) {
+    const approve = system.match(/Start your reply with (\S+) if/)?.[1]
+    const task = user.match(/^Task:\n(.*)/)?.[1] ?? ''
+    if (!approve) return `${stage[1]} (${model}) output for: ${task.slice(0, 200)}`
+    return /Review round 1 of/.test(user) ? 'REVISE: Add a concrete example.' : `${approve} The revision addresses the feedback.`
+  }
+  const framework = system.match(/framework called "([^"]+)"/)?.[1] ?? 'agent'
+  return JSON.stringify({
+    steps: ['Read the task', `Planned with ${framework}`, 'Drafted an answer', 'Reviewed the draft'],
+    output: `Stub answer from ${model} for: ${user.replace(/^Task: /, '').slice(0, 200)}`,
+    logs: `[stub] ${framework} finished on ${model}`,
+  })
+}
+
+const tokens = (text) => Math.ceil(text.length / 4)
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+const chatCompletions = (body, res) => {
+  const system = body.messages.find((m) => m.role === 'system')?.content ?? ''
+  const user = body.messages.findLast((m) => m.role === 'user')?.content ?? ''
+  const content = reply(system, user, body.model)
+  const usage = { prompt_tokens: tokens(system + user), completion_tokens: tokens(content) }
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens
+  if (!body.stream) {
+    return send(res, 200, { choices: [{ message: { role: 'assistant', content } }], usage })
+  }
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+  for (let i = 0; i < content.length; i += 16) {
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: content.slice(i, i + 16) } }] })}\n\n`)
+  }
+  res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`)
+  res.end('data: [DONE]\n\n')
+}
+
+const messages = (body, res) => {
+  const user = body.messages.findLast((m) => m.role === 'user')?.content ?? ''
+  const content = reply(body.system ?? '', user, body.model)
+  send(res, 200, {
+    content: [{ type: 'text', text: content }],
+    usage: { input_tokens: tokens(body.system + user), output_tokens: tokens(content) },
+  })
+}
+
+const generateContent = (model, body, res) => {
+  const system = body.systemInstruction?.parts?.map((p) => p.text).join('') ?? ''
+  const user = body.contents?.findLast((c) => c.role === 'user')?.parts?.map((p) => p.text).join('') ?? ''
+  const content = reply(system, user, model)
+  send(res, 200, {
+    candidates: [{ content: { role: 'model', parts: [{ text: content }] } }],
+    usageMetadata: { promptTokenCount: tokens(system + user), candidatesTokenCount: tokens(content) },
+  })
+}
+
+http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`)
+  const body = await readJSON(req)
+  console.log(req.method, url.pathname, body.model ?? '')
+  if (failWith) return send(res, failWith, { error: { message: `Stub failure ${failWith}` } })
+
+  const gemini = url.pathname.match(/\/models\/([^/:]+):generateContent$/)
+  if (req.method === 'POST' && url.pathname.endsWith('/chat/completions')) return chatCompletions(body, res)
+  if (req.method === 'POST' && url.pathname.endsWith('/messages')) return messages(body, res)
+  if (req.method === 'POST' && gemini) return generateContent(decodeURIComponent(gemini[1]), body, res)
+  send(res, 404, { error: { message: `No stub for ${req.method} ${url.pathname}` } })
+}).listen(port, () => console.log(`Stub providers on http://localhost:${port}`))
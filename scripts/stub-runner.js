@@ -0,0 +1,51 @@
+// Stub sidecar runner: speaks the runner protocol (see server/runners.js) without any
+// framework installed, so the sidecar path can be tried and tested end to end.
+// It reports its results as `source: "mock"`, so they never win badges by accident.
+//
+//   RUNNERS_FILE=runners.example.json node server/index.js
+//
+// Pass --fail=error, --fail=crash or --fail=hang (in the runner's args) to exercise
+// the server's error, bad-exit and timeout handling.
+import readline from 'node:readline'
+
+const fail = process.argv.find((arg) => arg.startsWith('--fail='))?.slice('--fail='.length)
+const delay = Number(process.env.STUB_RUNNER_DELAY_MS ?? 50)
+
+const send = (event) => process.stdout.write(JSON.stringify(event) + '\n')
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const run = async ({ framework, task, model }) => {
+  console.error(`stub runner: ${framework} on ${model.name}`)
+  send({ type: 'step', text: `Planner (${framework}) split the task into sub-goals` })
+  await sleep(delay)
+
+  if (fail === 'error') return send({ type: 'error', message: 'Stub runner was asked to fail' })
+  if (fail === 'crash') process.exit(3)
+  if (fail === 'hang') return setInterval(() => {}, 1000)
+
+  const query = task.split(/\s+/).slice(0, 6).join(' ')
+  const started = Date.now()
+  await sleep(delay)
+  send({ type: 'handoff', from: 'Planner', to: 'Researcher' })
+  send({ type: 'tool_call', name: 'search', agent: 'Researcher', input: { query }, output: `3 stub results for "${query}"`, durationMs: Date.now() - started })
+  send({ type: 'usage', name: 'summarize results', agent: 'Researcher', promptTokens: 220, completionTokens: 60 })
+  send({ type: 'step', text: 'Researcher summarized the search results' })
+  send({ type: 'log', message: `[planner] goals=3 model=${model.id}` })
+  send({ type: 'handoff', from: 'Researcher', to: 'Writer' })
+
+  const output = `Stub runner answer for: ${task}`
+  for (const word of output.split(/(?<= )/)) {
+    send({ type: 'token', text: word })
+    await sleep(delay / 5)
+  }
+  send({ type: 'usage', name: 'write answer', agent: 'Writer', promptTokens: 310, completionTokens: 140, cachedTokens: 200 })
+  send({ type: 'step', text: 'Writer produced the final answer' })
+  send({ type: 'result', output, source: 'mock' })
+}
+
+// One request line per process
+const lines = readline.createInterface({ input: process.stdin })
+lines.once('line', (line) => {
+  lines.close()
+  run(JSON.parse(line))
+})
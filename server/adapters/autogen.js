@@ -0,0 +1,19 @@
+export default {
+  id: 'autogen',
+  order: 2,
+  name: 'AutoGen',
+  accent: '#f5c66d',
+  description: 'Conversational multi-agent orchestration with swappable runtimes.',
+  strengths: ['negotiation', 'lightweight', 'multi-round'],
+  traits: ['Conversational', 'Multi-agent chat', 'Negotiation', 'Verbose'],
+  stepsHint: 'UserProxy initiates -> Assistant replies -> UserProxy critiques -> Assistant refines -> Termination',
+  capabilities: ['multi-agent', 'critique', 'code-execution'],
+  // A two-agent chat: the assistant answers and refines until the user proxy says TERMINATE
+  pipeline: {
+    stages: [
+      { id: 'initiate', role: 'UserProxy', prompt: 'Restate the task for the assistant with the acceptance criteria an answer must meet.', maxTokens: 250 },
+      { id: 'reply', role: 'Assistant', prompt: 'Answer the task so it meets the acceptance criteria. If feedback is given, revise your previous answer accordingly.', reads: ['initiate', 'reply'] },
+      { id: 'critique', role: 'UserProxy', prompt: "Check the assistant's answer against the acceptance criteria.", reads: ['initiate', 'reply'], maxTokens: 250, critique: { target: 'reply', maxRounds: 3, approve: 'TERMINATE' } },
+    ],
+  },
+}
@@ -0,0 +1,20 @@
+export default {
+  id: 'crewai',
+  order: 3,
+  name: 'CrewAI',
+  accent: '#c7a0ff',
+  description: 'Role-based agent crews with task decomposition and reviews.',
+  strengths: ['role clarity', 'reviews', 'handoffs'],
+  traits: ['Role-playing', 'Task delegation', 'Hierarchical', 'Structured'],
+  stepsHint: 'Researcher gathers info -> Manager delegates -> Writer compiles -> Reviewer approves',
+  capabilities: ['multi-agent', 'delegation', 'review'],
+  // Sequential crew with a reviewer who can send the writer back twice
+  pipeline: {
+    stages: [
+      { id: 'research', role: 'Researcher', prompt: 'Gather the facts, options and open questions the task depends on. Bullet points only; do not write the answer.', maxTokens: 400 },
+      { id: 'delegate', role: 'Manager', prompt: 'Turn the research into a brief for the writer: the sections the answer needs and what each must cover.', maxTokens: 300 },
+      { id: 'write', role: 'Writer', prompt: "Write the final answer to the task, following the manager's brief and using the research.", reads: ['research', 'delegate', 'write'] },
+      { id: 'review', role: 'Reviewer', prompt: "Review the writer's answer for accuracy, completeness and clarity against the task and the brief.", reads: ['delegate', 'write'], maxTokens: 250, critique: { target: 'write', maxRounds: 2 } },
+    ],
+  },
+}
@@ -0,0 +1,19 @@
+export default {
+  id: 'langgraph',
+  order: 1,
+  name: 'LangGraph',
+  accent: '#8ef1ff',
+  description: 'Graph-first control with tool-calling and guardrails.',
+  strengths: ['branch-safe', 'memory aware', 'deterministic'],
+  traits: ['Graph-structured', 'Cyclic', 'Stateful', 'Precise control flow'],
+  stepsHint: 'Define Graph State -> Node: Retrieve -> Node: Grade check -> Node: Generate -> Edge: End',
+  capabilities: ['cycles', 'state', 'tool-calling'],
+  // Retrieve -> Grade, looping back to Retrieve once if the context is too thin -> Generate
+  pipeline: {
+    stages: [
+      { id: 'retrieve', role: 'Retrieve node', prompt: 'Collect the facts, constraints and background the task depends on, as terse bullet points. Do not answer the task.', maxTokens: 400 },
+      { id: 'grade', role: 'Grade node', prompt: 'Grade whether the retrieved context is relevant and sufficient to answer the task.', reads: ['retrieve'], maxTokens: 200, critique: { target: 'retrieve', maxRounds: 1 } },
+      { id: 'generate', role: 'Generate node', prompt: 'Answer the task using only the graded context. Be precise and structured.', reads: ['retrieve'] },
+    ],
+  },
+}
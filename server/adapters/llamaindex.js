@@ -0,0 +1,20 @@
+export default {
+  id: 'llamaindex',
+  order: 4,
+  name: 'LlamaIndex',
+  accent: '#7df1c3',
+  description: 'Retrieval-centric agent graphs with observability hooks.',
+  strengths: ['retrieval', 'evaluations', 'schema aware'],
+  traits: ['Data-centric', 'Retrieval-augmented', 'Query engine', 'Synthesizer'],
+  stepsHint: 'Query breakdown -> Retrieve nodes -> Rerank results -> Synthesize response',
+  capabilities: ['retrieval', 'reranking', 'tool-calling'],
+  // Single pass: sub-questions -> retrieved facts per sub-question -> rerank -> synthesis
+  pipeline: {
+    stages: [
+      { id: 'breakdown', role: 'Query planner', prompt: 'Break the task into 3-5 focused sub-questions, one per line.', maxTokens: 200 },
+      { id: 'retrieve', role: 'Retriever', prompt: 'For each sub-question, list the most relevant facts you know as short nodes, labelled with the sub-question number.', maxTokens: 500 },
+      { id: 'rerank', role: 'Reranker', prompt: 'Keep only the nodes that matter for the task, most relevant first, and drop duplicates.', reads: ['retrieve'], maxTokens: 350 },
+      { id: 'synthesize', role: 'Synthesizer', prompt: 'Synthesize the final answer to the task from the reranked nodes.', reads: ['breakdown', 'rerank'] },
+    ],
+  },
+}
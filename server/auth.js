@@ -0,0 +1,41 @@
+import { createHash, timingSafeEqual } from 'node:crypto'
+
+// Optional access control for /api/*. Set API_KEYS to a comma-separated list to turn it on;
+// clients then send `Authorization: Bearer <key>` or `X-API-Key: <key>`. EventSource and
+// download links can't set headers, so `?access_token=<key>` works too.
+const digest = (value) => createHash('sha256').update(value).digest()
+
+const configuredKeys = () =>
+  (process.env.API_KEYS ?? '').split(',').map((k) => k.trim()).filter(Boolean).map(digest)
+
+export const authEnabled = () => configuredKeys().length > 0
+
+export const presentedKey = (req) => {
+  const header = req.get('authorization')
+  if (header?.toLowerCase().startsWith('bearer ')) return header.slice(7).trim()
+  return req.get('x-api-key') || req.query.access_token || ''
+}
+
+// Comparing digests keeps the check constant-time whatever the key lengths
+const isValidKey = (key) => {
+  if (!key) return false
+  const presented = digest(key)
+  return configuredKeys().some((known) => timingSafeEqual(known, presented))
+}
+
+// The key a request was let in with: '' when auth is off, or on an open path without a valid key
+export const verifiedKey = (req) => {
+  if (!authEnabled()) return ''
+  const key = presentedKey(req)
+  return isValidKey(key) ? key : ''
+}
+
+// Paths under /api that stay open: share links are meant for people outside the team
+const publicPaths = [/^\/share\//]
+
+export const requireApiKey = (req, res, next) => {
+  if (!authEnabled() || publicPaths.some((pattern) => pattern.test(req.path))) return next()
+  if (isValidKey(presentedKey(req))) return next()
+  res.set('WWW-Authenticate', 'Bearer realm="api"')
+  res.status(401).json({ error: 'This server needs an API key' })
+}
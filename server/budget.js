@@ -0,0 +1,124 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { currency, formatCost } from './pricing.js'
+
+// Spend caps, in the pricing currency. Unset or 0 means no cap.
+//   BUDGET_PER_COMPARISON  one comparison or suite run
+//   BUDGET_PER_SESSION     one browser session (X-Session-Id header)
+//   BUDGET_PER_DAY         everything the server runs in a UTC day, kept across restarts
+const limitFrom = (name) => {
+  const value = Number(process.env[name])
+  return Number.isFinite(value) && value > 0 ? value : null
+}
+
+const limits = () => ({
+  comparison: limitFrom('BUDGET_PER_COMPARISON'),
+  session: limitFrom('BUDGET_PER_SESSION'),
+  day: limitFrom('BUDGET_PER_DAY'),
+})
+
+const defaultFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'spend.json')
+const spendFile = process.env.SPEND_FILE || defaultFile
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// { "2026-10-19": 0.42, ... }
+const loadDailySpend = async () => {
+  try {
+    return JSON.parse(await readFile(spendFile, 'utf8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Could not read spend file, starting from zero:', err.message)
+    return {}
+  }
+}
+
+const daily = await loadDailySpend()
+
+// Queued like the other stores' writes (see history.js)
+let writes = Promise.resolve()
+const saveDailySpend = () => {
+  const write = writes.then(async () => {
+    await mkdir(path.dirname(spendFile), { recursive: true })
+    await writeFile(spendFile, JSON.stringify(daily, null, 2))
+  })
+  writes = write.catch(() => {})
+  return write
+}
+
+// Only live completions cost money; cache hits and mock or fallback results are free
+export const spendOf = (result) => (result.cached || (result.source && result.source !== 'live') ? 0 : result.cost ?? 0)
+
+// A ledger holds settled spend plus cost reserved by runs still in flight
+export const createLedger = () => ({ spent: 0, reserved: 0 })
+
+const sessions = new Map()
+const sessionLedger = (sessionId) => {
+  if (!sessions.has(sessionId)) sessions.set(sessionId, createLedger())
+  return sessions.get(sessionId)
+}
+
+let dayLedger = { day: today(), ...createLedger(), spent: daily[today()] ?? 0 }
+const currentDay = () => {
+  if (dayLedger.day !== today()) dayLedger = { day: today(), ...createLedger(), spent: daily[today()] ?? 0 }
+  return dayLedger
+}
+
+const scopesFor = ({ sessionId, comparison }) => {
+  const caps = limits()
+  return [
+    comparison && { scope: 'comparison', limit: caps.comparison, ledger: comparison },
+    { scope: 'session', limit: caps.session, ledger: sessionLedger(sessionId) },
+    { scope: 'day', limit: caps.day, ledger: currentDay() },
+  ].filter(Boolean)
+}
+
+const remainingOf = ({ limit, ledger }) => (limit === null ? null : Math.max(0, limit - ledger.spent - ledger.reserved))
+
+export class BudgetError extends Error {
+  constructor(scope, limit, needed) {
+    super(`${scope === 'day' ? 'Daily' : scope === 'session' ? 'Session' : 'Per-comparison'} budget of ${formatCost(limit)} would be exceeded (needs ~${formatCost(needed)})`)
+    this.name = 'BudgetError'
+    this.scope = scope
+    this.limit = limit
+  }
+}
+
+// Holds `estimate` against every applicable budget, or throws a BudgetError naming the
+// first budget it would break. Settle the reservation with the run's actual cost; that
+// updates the ledgers at once and resolves when the daily spend is saved.
+export const reserveSpend = ({ sessionId, comparison }, estimate) => {
+  const scopes = scopesFor({ sessionId, comparison })
+  const blocked = scopes.find((s) => s.limit !== null && remainingOf(s) < estimate)
+  if (blocked) throw new BudgetError(blocked.scope, blocked.limit, estimate)
+
+  for (const { ledger } of scopes) ledger.reserved += estimate
+  let settled = false
+  return async (actual = 0) => {
+    if (settled) return
+    settled = true
+    for (const { ledger } of scopes) {
+      ledger.reserved -= estimate
+      ledger.spent += actual
+    }
+    const day = scopes.find((s) => s.scope === 'day').ledger
+    daily[day.day] = day.spent
+    if (actual > 0) await saveDailySpend()
+  }
+}
+
+// Fails fast when not even `minimum` (the cheapest single run) fits a budget
+export const checkBudget = ({ sessionId, comparison }, minimum) => {
+  const blocked = scopesFor({ sessionId, comparison }).find((s) => s.limit !== null && remainingOf(s) < minimum)
+  if (blocked) throw new BudgetError(blocked.scope, blocked.limit, minimum)
+}
+
+export const spendStatus = ({ sessionId, comparison }) => ({
+  currency,
+  ...Object.fromEntries(
+    scopesFor({ sessionId, comparison }).map((s) => [
+      s.scope,
+      { limit: s.limit, spent: s.ledger.spent, remaining: remainingOf(s) },
+    ])
+  ),
+})
@@ -0,0 +1,73 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { createHash } from 'node:crypto'
+import { isConversation } from './tasks.js'
+
+// Finished adapter results, keyed on what produced them. In memory by default;
+// CACHE_FILE persists entries across restarts. CACHE_TTL_SECONDS=0 turns caching off.
+const ttlMs = () => {
+  const seconds = Number(process.env.CACHE_TTL_SECONDS ?? 3600)
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0
+}
+const maxEntries = () => Math.max(1, Number(process.env.CACHE_MAX_ENTRIES) || 500)
+const cacheFile = process.env.CACHE_FILE
+
+// Whitespace and Unicode form don't change the prompt, so they don't change the key.
+// Conversations (see tasks.js) are normalized turn by turn.
+const normalizeText = (text = '') => text.normalize('NFC').trim().replace(/\s+/g, ' ')
+const normalizeTask = (task) =>
+  isConversation(task) ? { system: normalizeText(task.system), turns: task.turns.map(normalizeText) } : normalizeText(task)
+
+export const cacheKey = ({ task, frameworkId, modelId, params = {} }) =>
+  createHash('sha256')
+    .update(JSON.stringify([normalizeTask(task), frameworkId, modelId, params]))
+    .digest('hex')
+
+const loadEntries = async () => {
+  if (!cacheFile) return []
+  try {
+    return JSON.parse(await readFile(cacheFile, 'utf8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Could not read cache file, starting empty:', err.message)
+    return []
+  }
+}
+
+// Map order doubles as age order: oldest entries are evicted first
+const entries = new Map((await loadEntries()).filter(([, e]) => e.expiresAt > Date.now()))
+
+let writes = Promise.resolve()
+const persist = () => {
+  if (!cacheFile) return
+  writes = writes
+    .then(async () => {
+      await mkdir(path.dirname(cacheFile), { recursive: true })
+      await writeFile(cacheFile, JSON.stringify([...entries]))
+    })
+    .catch((err) => console.error('Failed to write cache file:', err))
+}
+
+// Returns the stored result marked `cached: true` with the time it was produced, or undefined
+export const getCached = (key) => {
+  const entry = entries.get(key)
+  if (!entry) return
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key)
+    persist()
+    return
+  }
+  return { ...entry.result, cached: true, cachedAt: entry.createdAt }
+}
+
+export const putCached = (key, result) => {
+  const ttl = ttlMs()
+  if (!ttl) return
+  const now = Date.now()
+  entries.delete(key)
+  entries.set(key, { result, createdAt: new Date(now).toISOString(), expiresAt: now + ttl })
+  for (const oldest of entries.keys()) {
+    if (entries.size <= maxEntries()) break
+    entries.delete(oldest)
+  }
+  persist()
+}
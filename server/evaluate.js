@@ -0,0 +1,10 @@
+import { withHeuristics } from './scoring.js'
+import { withJudgement } from './judge.js'
+import { taskContent, taskText } from './tasks.js'
+
+// Everything that scores a finished run: offline heuristics first, then the judge.
+// Benchmark items may add a `reference` answer and their own `rubric`. A conversation
+// is scored as a whole, with the final reply as the answer; the heuristics read its text
+// without the turn labels, which would otherwise count as key terms.
+export const evaluateRun = (task, result, { reference, rubric } = {}) =>
+  withJudgement(taskText(task), withHeuristics(taskContent(task), result, reference), { reference, rubric })
@@ -0,0 +1,259 @@
+import { listAdapters } from './registry.js'
+import { models } from './models.js'
+import { currency, formatCost } from './pricing.js'
+import { traceLines } from './trace.js'
+import { taskText } from './tasks.js'
+import { leaderOf, mean } from './stats.js'
+import { buildReport, isLive } from './report.js'
+
+// Renders a stored comparison as CSV, JSON, Markdown or a standalone HTML report.
+// Renderers take `(record, { includeNonLive })`; see highlightsOf.
+
+const frameworkName = (id) => listAdapters().find((a) => a.id === id)?.name ?? id
+const modelName = (id) => models.find((m) => m.id === id)?.name ?? id
+const comboName = (cell) => `${frameworkName(cell.frameworkId)} × ${modelName(cell.modelId)}`
+const comboId = (cell) => `${cell.frameworkId}-${cell.modelId}`
+// Repeated combos number their runs
+const runName = (record, cell) => comboName(cell) + (record.repetitions > 1 ? ` #${(cell.repetition ?? 0) + 1}` : '')
+
+// Runs from before structured traces carry their logs in the output, after this marker
+const LOGS_MARKER = '\n\n---\nLOGS:\n'
+const splitOutput = (cell) => {
+  const [answer, logs = ''] = (cell.output ?? '').split(LOGS_MARKER)
+  return { answer, logs: cell.trace ? traceLines(cell.trace) : logs }
+}
+
+// Conversations are flattened (see tasks.js); one-line spots get their turns joined with slashes
+const taskOf = (record, cell) => taskText(record.tasks?.[cell.taskIndex ?? 0]?.task ?? record.task)
+const oneLine = (text) => text.replace(/\s*\n+\s*/g, ' / ')
+// A pipe in a task would split its Markdown table cell
+const tableCell = (text) => oneLine(text).replace(/\|/g, '\\|')
+// Suites and expanded templates run several tasks, so each run names its own
+const perCellTasks = (record) => record.tasks?.length > 1
+
+const finished = (record) => record.cells.filter((c) => c.status === 'done' && c.metrics)
+
+const sourceNote = (cell) => {
+  if (isLive(cell)) return ''
+  return cell.source === 'fallback' ? ` (fallback: ${cell.fallback?.category ?? 'unknown'})` : ` (${cell.source})`
+}
+
+// Same winners the UI shows in its summary cards: combos compete on the mean over their
+// runs, and a leader that isn't significantly ahead is a tie (see leaderOf in stats.js).
+// Each is { cell, value, winner, tied }, with `cell` one of the leader's runs and `tied`
+// a run of every combo in the tie. Mock and fallback runs only compete when `includeNonLive` is set.
+export const highlightsOf = (record, { includeNonLive = false } = {}) => {
+  const valid = finished(record).filter((cell) => includeNonLive || isLive(cell))
+  if (!valid.length) return {}
+  const cellsOf = (id) => valid.filter((cell) => comboId(cell) === id)
+  const groups = [...new Set(valid.map(comboId))].map((id) => ({ id, cells: cellsOf(id) }))
+  const best = (key, better) => {
+    const { leader, winner, tied } = leaderOf(groups.map(({ id, cells }) => ({ id, values: cells.map((c) => c.metrics[key]) })), better)
+    return {
+      cell: cellsOf(leader)[0],
+      value: mean(cellsOf(leader).map((c) => c.metrics[key])),
+      winner: Boolean(winner),
+      tied: tied.map((id) => cellsOf(id)[0]),
+    }
+  }
+  return {
+    fastest: best('latency', 'lower'),
+    cheapest: best('cost', 'lower'),
+    highestQuality: best('quality', 'higher'),
+    averageTokens: Math.round(valid.reduce((sum, c) => sum + c.metrics.tokens, 0) / valid.length),
+  }
+}
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCSV = (record) => {
+  const header = ['task', 'framework', 'model', 'repetition', 'status', 'latency_s', 'tokens', 'prompt_tokens', 'completion_tokens', 'cached_tokens', `cost_${currency.toLowerCase()}`, 'quality', 'coverage', 'safety', 'retries', 'retry_wait_ms', 'source', 'fallback_reason', 'error']
+  const rows = record.cells.map((cell) => [
+    taskOf(record, cell),
+    frameworkName(cell.frameworkId),
+    modelName(cell.modelId),
+    (cell.repetition ?? 0) + 1,
+    cell.status,
+    cell.metrics?.latency,
+    cell.metrics?.tokens,
+    cell.metrics?.promptTokens,
+    cell.metrics?.completionTokens,
+    cell.metrics?.cachedTokens,
+    cell.metrics?.cost,
+    cell.metrics?.quality,
+    cell.metrics?.coverage,
+    cell.metrics?.safety,
+    cell.metrics?.retries,
+    cell.metrics?.retryWaitMs,
+    cell.source,
+    cell.fallback && `${cell.fallback.category}${cell.fallback.status ? ` ${cell.fallback.status}` : ''}: ${cell.fallback.message}`,
+    cell.error,
+  ])
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n'
+}
+
+export const toJSON = (record, options) => JSON.stringify({ ...record, currency, highlights: summaryOf(record, options) }, null, 2)
+
+// Highlights with cells swapped for readable combo names; a tie names every combo in it
+const summaryOf = (record, options) => {
+  const { fastest, cheapest, highestQuality, averageTokens } = highlightsOf(record, options)
+  if (!fastest) return null
+  const named = ({ cell, winner, tied }) => ({ combo: comboName(cell), tie: !winner, ...(!winner && { tied: tied.map(comboName) }) })
+  return {
+    fastest: { ...named(fastest), latency: +fastest.value.toFixed(1) },
+    cheapest: { ...named(cheapest), cost: cheapest.value },
+    highestQuality: { ...named(highestQuality), quality: Math.round(highestQuality.value) },
+    averageTokens,
+  }
+}
+
+// Names the winner, or the tie: "Tie: A, B"
+const winnerText = (highlight) => (highlight.tie ? `Tie: ${highlight.tied.join(', ')}` : highlight.combo)
+
+const titleOf = (record) => {
+  if (record.suite) return `Suite: ${record.suite.name}`
+  if (record.template) return `Template: ${record.template.name}`
+  return oneLine(taskText(record.task))
+}
+
+// "mean ± std [low–high]" for one metric's spread (see report.js)
+const spreadText = ({ mean: average, std, ci }, format = (v) => +v.toFixed(2)) =>
+  `${format(average)} ± ${format(std)}${ci ? ` [${format(ci[0])}–${format(ci[1])}]` : ''}`
+
+const seconds = (value) => `${+value.toFixed(2)}s`
+
+const spreadLines = (record) => [
+  `## Spread over ${record.repetitions} runs per combo`,
+  '',
+  '_Mean ± standard deviation, with the 95% confidence interval of the mean in brackets._',
+  '',
+  '| Combo | Quality | Latency | Latency p50 / p95 | Cost | Tokens |',
+  '|---|---|---|---|---|---|',
+  ...buildReport(record).combos.map(({ stats, ...combo }) =>
+    `| ${comboName(combo)} | ${spreadText(stats.quality)} | ${spreadText(stats.latency, seconds)} | ${seconds(stats.latency.p50)} / ${seconds(stats.latency.p95)} | ${spreadText(stats.cost, formatCost)} | ${spreadText(stats.tokens, Math.round)} |`),
+]
+
+export const toMarkdown = (record, options) => {
+  const summary = summaryOf(record, options)
+  const lines = [
+    `# Comparison report`,
+    '',
+    `- **${record.suite ? 'Suite' : 'Task'}:** ${record.suite ? record.suite.name : oneLine(taskText(record.task))}`,
+    `- **Run:** ${record.createdAt}`,
+    `- **Frameworks:** ${record.frameworks.map(frameworkName).join(', ')}`,
+    `- **Models:** ${record.models.map(modelName).join(', ')}`,
+    '',
+    '## Highlights',
+    '',
+  ]
+  if (summary) {
+    lines.push(
+      `- Fastest: ${winnerText(summary.fastest)} (${summary.fastest.latency}s)`,
+      `- Cheapest: ${winnerText(summary.cheapest)} (${formatCost(summary.cheapest.cost)})`,
+      `- Highest quality: ${winnerText(summary.highestQuality)} (${summary.highestQuality.quality}/100)`,
+      `- Avg tokens: ${summary.averageTokens}`,
+    )
+  } else {
+    lines.push(options?.includeNonLive ? 'No successful runs.' : 'No successful live runs.')
+  }
+  if (record.repetitions > 1) lines.push('', ...spreadLines(record))
+
+  // Runs of several tasks get a Task column, so each row says which task it answered
+  const taskColumn = perCellTasks(record)
+  lines.push(
+    '',
+    '## Metrics',
+    '',
+    `| ${taskColumn ? 'Task | ' : ''}Combo | Latency | Tokens | Cost | Quality | Coverage | Safety |`,
+    `|${taskColumn ? '---|' : ''}---|---|---|---|---|---|---|`,
+  )
+  for (const cell of record.cells) {
+    const m = cell.metrics ?? {}
+    const task = taskColumn ? `| ${tableCell(taskOf(record, cell))} ` : ''
+    lines.push(cell.status === 'done'
+      ? `${task}| ${runName(record, cell)}${sourceNote(cell)} | ${m.latency}s | ${m.tokens} | ${formatCost(m.cost)} | ${m.quality} | ${m.coverage} | ${m.safety} |`
+      : `${task}| ${runName(record, cell)} | failed: ${cell.error ?? cell.status} | | | | | |`)
+  }
+
+  lines.push('', '## Outputs')
+  for (const cell of record.cells) {
+    const { answer, logs } = splitOutput(cell)
+    lines.push('', `### ${runName(record, cell)}${sourceNote(cell)}`)
+    if (perCellTasks(record)) lines.push('', `_Task: ${oneLine(taskOf(record, cell))}_`)
+    if (cell.steps?.length) lines.push('', ...cell.steps.map((step) => `- ${step}`))
+    lines.push('', answer || '_No output_')
+    if (logs) lines.push('', '```', logs, '```')
+  }
+  return lines.join('\n') + '\n'
+}
+
+const escapeHTML = (text = '') =>
+  String(text).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch])
+
+export const toHTML = (record, options) => {
+  const summary = summaryOf(record, options)
+  const highlightCards = summary
+    ? [
+        ['Fastest', `${summary.fastest.latency}s`, winnerText(summary.fastest)],
+        ['Cheapest', formatCost(summary.cheapest.cost), winnerText(summary.cheapest)],
+        ['Highest quality', `${summary.highestQuality.quality}/100`, winnerText(summary.highestQuality)],
+        ['Avg tokens', summary.averageTokens, 'per run'],
+      ].map(([label, value, sub]) => `<div class="card"><div class="label">${label}</div><div class="value">${escapeHTML(value)}</div><div class="sub">${escapeHTML(sub)}</div></div>`).join('')
+    : `<p>${options?.includeNonLive ? 'No successful runs.' : 'No successful live runs.'}</p>`
+
+  const runCards = record.cells.map((cell) => {
+    const { answer, logs } = splitOutput(cell)
+    const m = cell.metrics ?? {}
+    return `
+      <div class="run">
+        <h3>${escapeHTML(runName(record, cell) + sourceNote(cell))}</h3>
+        ${perCellTasks(record) ? `<p class="sub">${escapeHTML(oneLine(taskOf(record, cell)))}</p>` : ''}
+        ${cell.status === 'done'
+          ? `<p class="metrics">${m.latency}s · ${m.tokens} tok · ${formatCost(m.cost)} · Q ${m.quality} · C ${m.coverage} · S ${m.safety}</p>`
+          : `<p class="error">Failed: ${escapeHTML(cell.error ?? cell.status)}</p>`}
+        ${cell.steps?.length ? `<ul>${cell.steps.map((s) => `<li>${escapeHTML(s)}</li>`).join('')}</ul>` : ''}
+        <div class="output">${escapeHTML(answer)}</div>
+        ${logs ? `<pre>${escapeHTML(logs)}</pre>` : ''}
+      </div>`
+  }).join('')
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHTML(titleOf(record))}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 32px; color: #1a2233; background: #f7f9fc; }
+  .meta { color: #5b6477; }
+  .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin: 16px 0 24px; }
+  .card, .run { background: #fff; border: 1px solid #dfe5ef; border-radius: 10px; padding: 12px; }
+  .label, .sub { color: #5b6477; font-size: 13px; }
+  .value { font-size: 22px; font-weight: 700; }
+  .runs { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 12px; }
+  .run h3 { margin: 0 0 6px; }
+  .metrics { font-size: 13px; color: #5b6477; }
+  .error { color: #c62828; }
+  .output { white-space: pre-wrap; line-height: 1.5; }
+  pre { background: #eef2f8; padding: 8px; border-radius: 6px; font-size: 12px; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>Comparison report</h1>
+<p><strong>${escapeHTML(titleOf(record))}</strong></p>
+<p class="meta">${escapeHTML(record.createdAt)} · ${escapeHTML(record.frameworks.map(frameworkName).join(', '))} · ${escapeHTML(record.models.map(modelName).join(', '))}</p>
+<div class="cards">${highlightCards}</div>
+<div class="runs">${runCards}</div>
+</body>
+</html>
+`
+}
+
+export const exportFormats = {
+  csv: { render: toCSV, type: 'text/csv' },
+  json: { render: toJSON, type: 'application/json' },
+  md: { render: toMarkdown, type: 'text/markdown' },
+  html: { render: toHTML, type: 'text/html' },
+}
@@ -0,0 +1,97 @@
+import { appendFile, mkdir, readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { randomBytes } from 'node:crypto'
+
+const defaultFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'runs.jsonl')
+const historyFile = process.env.RUNS_FILE || defaultFile
+
+// One finished comparison per line; the whole file is mirrored in memory.
+const loadHistory = async () => {
+  try {
+    const text = await readFile(historyFile, 'utf8')
+    return text.split('\n').filter(Boolean).flatMap((line) => {
+      try {
+        return [JSON.parse(line)]
+      } catch {
+        console.warn('Skipping unreadable history line in', historyFile)
+        return []
+      }
+    })
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    throw err
+  }
+}
+
+const records = await loadHistory()
+
+// Writes go through one chain so appends and rewrites never interleave.
+// A failed write rejects for its caller without blocking the ones queued behind it.
+let writes = Promise.resolve()
+const queueWrite = (fn) => {
+  const write = writes.then(fn)
+  writes = write.catch(() => {})
+  return write
+}
+
+// Short, unguessable id used in read-only share links
+const newShareId = () => randomBytes(6).toString('base64url')
+
+const rewriteHistory = () => queueWrite(() => writeFile(historyFile, records.map((r) => JSON.stringify(r) + '\n').join('')))
+
+const toRecord = (job) => ({
+  id: job.id,
+  shareId: newShareId(),
+  task: job.task,
+  tasks: job.tasks,
+  suite: job.suite,
+  template: job.template,
+  frameworks: job.frameworks,
+  models: job.models,
+  repetitions: job.repetitions,
+  settings: { concurrency: job.concurrency, faults: job.faults, noCache: job.noCache },
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+  cells: job.cells.map(({ id, taskIndex, frameworkId, modelId, repetition, status, output, turns, steps, toolCalls, stages, trace, metrics, judge, analysis, cached, cachedAt, source, fallback, error }) => ({
+    id, taskIndex, frameworkId, modelId, repetition, status, output, turns, steps, toolCalls, stages, trace, metrics, judge, analysis, cached, cachedAt, source, fallback, error,
+  })),
+})
+
+export const saveComparison = (job) => {
+  const record = toRecord(job)
+  records.push(record)
+  return queueWrite(async () => {
+    await mkdir(path.dirname(historyFile), { recursive: true })
+    await appendFile(historyFile, JSON.stringify(record) + '\n')
+  })
+}
+
+// Newest first, without the bulky per-cell outputs
+export const listComparisons = () =>
+  records
+    .map(({ cells, tasks, ...summary }) => ({ ...summary, tasks: tasks?.length ?? 1, runs: cells.length }))
+    .reverse()
+
+export const getComparison = (id) => records.find((r) => r.id === id)
+
+export const deleteComparison = async (id) => {
+  const index = records.findIndex((r) => r.id === id)
+  if (index === -1) return false
+  records.splice(index, 1)
+  await rewriteHistory()
+  return true
+}
+
+export const getComparisonByShareId = (shareId) => records.find((r) => r.shareId === shareId)
+
+// Records saved before share links existed get their id on first share
+export const ensureShareId = async (id) => {
+  const record = getComparison(id)
+  if (!record) return null
+  if (!record.shareId) {
+    record.shareId = newShareId()
+    await rewriteHistory()
+  }
+  return record.shareId
+}
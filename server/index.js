@@ -1,174 +1,375 @@
+import 'dotenv/config'
 import express from 'express'
-import dotenv from 'dotenv'
-import fetch from 'node-fetch'
-
-dotenv.config()
+import { models } from './models.js'
+import { routeFor, isLive } from './providers.js'
+import { listAdapters, getAdapter, runAdapter, describeAdapter, callsPerRun } from './registry.js'
+import { createCompareJob, getCompareJob, subscribeCompareJob } from './jobs.js'
+import { openEventStream } from './sse.js'
+import { listComparisons, getComparison, deleteComparison, getComparisonByShareId, ensureShareId } from './history.js'
+import { resolveFaults } from './mock.js'
+import { evaluateRun } from './evaluate.js'
+import { listSuites, getSuite } from './suites.js'
+import { listTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate } from './templates.js'
+import { createProfile, updateProfile, deleteProfile } from './profiles.js'
+import { expandTask, variablesOf } from './tasks.js'
+import { buildReport } from './report.js'
+import { exportFormats } from './exporters.js'
+import { currency, priceFor, estimateComparison, estimateRun } from './pricing.js'
+import { schemas, validateBody, badRequest, handleBodyErrors } from './validate.js'
+import { requireApiKey } from './auth.js'
+import { rateLimit, claimRunSlot } from './ratelimit.js'
+import { BudgetError, checkBudget, createLedger, reserveSpend, spendOf, spendStatus } from './budget.js'
 
 const app = express()
 app.use(express.json())
+app.use('/api', requireApiKey, rateLimit)
 
-const priceTable = {
-  'gpt-41': 0.004,
-  'claude-37': 0.0035,
-  'llama-33': 0.0015,
-  'gemini-20': 0.002,
-}
+app.get('/api/catalog', (req, res) => {
+  res.json({
+    frameworks: listAdapters().map(describeAdapter),
+    models: models.map((m) => ({ ...m, route: routeFor(m.id), live: isLive(m.id), pricing: priceFor(m.id) })),
+    currency,
+  })
+})
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
-
-const getMockResponse = async (framework, task, styles) => {
-  await sleep(100) // consistent mock latency
-  return {
-    output: `[MOCK ${framework} OUTPUT for "${task}"]\n\nThis is a simulated response because no valid OpenAI key was found (or the key failed).\n\nSimulated reasoning:\n- Step 1: Mapped task to ${framework} nodes.\n- Step 2: Executed graph.\n- Step 3: Verified output.`,
-    tokens: 250,
-    cost: 0.0025,
-    steps: ['Initialized ' + framework, 'Processed Input', 'Generated Response', 'Finalized'],
-    quality: 95,
-    coverage: 98,
-    safety: 100,
-    metrics: {
-      latency: 1.5,
-      tokens: 250,
-      cost: 0.0025,
-      quality: 95,
-      coverage: 98,
-      safety: 100
-    }
-  }
-}
+// Spend is tracked per browser session; clients without one share a bucket per address
+const sessionOf = (req) => req.get('x-session-id') || req.ip
 
-// Generic simulator to make OpenAI "roleplay" the agent framework
-async function simulateAgent({ task, model, framework, styles, stepsHint }) {
-  // Check if key is missing, invalid, or just the placeholder
-  // Agressive sanitation: remove anything that isn't alphanumeric or hyphen
-  let rawKey = process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.trim() : ''
-  const apiKey = rawKey.replace(/[^a-zA-Z0-9-]/g, '')
+const budgetError = (res, err) => res.status(402).json({ error: err.message, budget: err.scope })
 
-  if (!apiKey || !apiKey.startsWith('sk-') || apiKey === 'sk-placeholder' || rawKey.includes('placeholder')) {
-    console.log('Using mock for', framework, '(Key:', apiKey ? 'Present' : 'Missing', ')')
-    return getMockResponse(framework, task, styles)
-  }
+const callsFor = (frameworkId, task) => callsPerRun(getAdapter(frameworkId), task)
 
-  // Real simulation via OpenAI
+// Refuses a comparison outright only when not even its cheapest run fits;
+// otherwise the job runs and skips the cells that no longer fit.
+const refuseOverBudget = (req, res, tasks, frameworkIds, modelIds) => {
+  const cheapest = Math.min(...tasks.flatMap((task) =>
+    frameworkIds.flatMap((frameworkId) => modelIds.map((modelId) => estimateRun(modelId, task, callsFor(frameworkId, task))))
+  ))
   try {
-    const systemPrompt = `
-    You are a simulator for a multi-agent framework called "${framework}".
-    Your goal is to run the user's task as if you were that framework, using the persona and logging style of that framework.
-    
-    Framework Traits: ${styles.join(', ')}.
-    Typical Process: ${stepsHint}.
-    
-    Output Format:
-    Return a JSON object (and ONLY JSON) with:
-    {
-      "output": "The final textual answer to the user's task.",
-      "steps": ["List of 4-6 short descriptions of what the agents did internally"],
-      "logs": "A short simulated log stream showing agent chatter or graph execution.",
-      "quality": <number 0-100 based on how well you think you solved it>,
-      "coverage": <number 0-100 based on completeness>
-    }
-    `
-
-    const res = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o', // Use a smart model to simulate others
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Task: ${task}\nTarget Model Simulated: ${model}` }
-        ],
-        response_format: { type: "json_object" },
-        max_tokens: 1000,
-      }),
-    })
-
-    if (!res.ok) {
-      const err = await res.text()
-      // If unauthorized (invalid key) or quota exceeded, fallback to mock instead of crashing
-      if (res.status === 401 || res.status === 429 || err.includes('invalid_api_key')) {
-        console.warn(`OpenAI API failed (${res.status}). Falling back to mock. Error: ${err}`)
-        return getMockResponse(framework, task, styles)
-      }
-      throw new Error(`OpenAI error: ${err}`)
-    }
+    checkBudget({ sessionId: sessionOf(req), comparison: createLedger() }, cheapest)
+  } catch (err) {
+    if (!(err instanceof BudgetError)) throw err
+    budgetError(res, err)
+    return true
+  }
+  return false
+}
 
-    const data = await res.json()
-    const result = JSON.parse(data.choices[0].message.content)
-
-    // Calculate simulated cost based on the *target* model price, not the simulator price
-    const tokens = data.usage.total_tokens
-    const estimatedCost = (tokens / 1000) * (priceTable[model] || 0.002)
-
-    return {
-      output: result.output + '\n\n---\nLOGS:\n' + result.logs,
-      tokens: tokens,
-      cost: estimatedCost,
-      steps: result.steps,
-      quality: result.quality || 85,
-      coverage: result.coverage || 90,
-      safety: 95
-    }
+// `comparison` describes the cap the next comparison will get
+app.get('/api/budget', (req, res) => {
+  res.json(spendStatus({ sessionId: sessionOf(req), comparison: createLedger() }))
+})
 
-  } catch (err) {
-    console.error('Simulation failed:', err)
-    // Even in catch block, if it was a network error or similar, fallback to mock to keep UI green
-    console.log('Exception caught, falling back to mock response to ensure UI stability.')
-    return getMockResponse(framework, task, styles)
+// A running comparison holds one of the client's run slots until its last cell finishes
+const releaseWhenDone = (job, release) => {
+  const unsubscribe = subscribeCompareJob(job.id, (event) => {
+    if (event !== 'done') return
+    unsubscribe()
+    release()
+  })
+}
+
+// What a comparison (or estimate) runs: `task`, or a saved `template`'s task, expanded into
+// one item per row of `values` when given. Answers 400/404 and returns null when it can't.
+const resolveTasks = (body, res) => {
+  const template = body.template ? getTemplate(body.template) : null
+  if (body.template && !template) {
+    res.status(404).json({ error: 'Template not found' })
+    return null
+  }
+  const task = body.task ?? template?.task
+  if (task === undefined) {
+    badRequest(res, [{ field: 'task', message: 'is required unless a template is given' }])
+    return null
+  }
+  if (!body.values) {
+    const names = variablesOf(task)
+    if (!names.length) return { task, items: [{ task, tags: [] }], template }
+    badRequest(res, [{ field: 'values', message: `are required: the task uses ${names.map((n) => `{{${n}}}`).join(', ')}` }])
+    return null
   }
+  const { items, problems } = expandTask(task, body.values)
+  if (problems) {
+    badRequest(res, problems)
+    return null
+  }
+  return { task, items, template, expanded: true }
 }
 
-app.post('/api/langgraph', async (req, res) => {
-  const { task, modelId } = req.body
-  const result = await simulateAgent({
+app.post('/api/compare', validateBody(schemas.compare), (req, res) => {
+  const { frameworks, models: modelIds, repetitions, concurrency, noCache } = req.body
+  const resolved = resolveTasks(req.body, res)
+  if (!resolved) return
+  const { task, items, template, expanded } = resolved
+  if (refuseOverBudget(req, res, items.map((item) => item.task), frameworks, modelIds)) return
+  const release = claimRunSlot(req, res)
+  if (!release) return
+
+  const faults = resolveFaults(req.get('x-mock-fault'))
+  const job = createCompareJob({
     task,
-    model: modelId,
-    framework: 'LangGraph',
-    styles: ['Graph-structured', 'Cyclic', 'Stateful', 'Precise control flow'],
-    stepsHint: 'Define Graph State -> Node: Retrieve -> Node: Grade check -> Node: Generate -> Edge: End'
+    ...(expanded && { tasks: items }),
+    template: template ? { id: template.id, name: template.name } : null,
+    frameworks,
+    models: modelIds,
+    repetitions,
+    concurrency,
+    faults,
+    noCache,
+    sessionId: sessionOf(req),
   })
-  res.json(result)
+  releaseWhenDone(job, release)
+  res.status(202).json({ id: job.id, status: job.status })
 })
 
-app.post('/api/autogen', async (req, res) => {
-  const { task, modelId } = req.body
-  const result = await simulateAgent({
-    task,
-    model: modelId,
-    framework: 'AutoGen',
-    styles: ['Conversational', 'Multi-agent chat', 'Negotiation', 'Verbose'],
-    stepsHint: 'UserProxy initiates -> Assistant replies -> UserProxy critiques -> Assistant refines -> Termination'
-  })
-  res.json(result)
+// Pre-run cost estimate for a task (or a whole suite) across the selected matrix
+app.post('/api/estimate', validateBody(schemas.estimate), async (req, res) => {
+  const { suite: suiteId, frameworks, models: modelIds, repetitions } = req.body
+
+  if (suiteId) {
+    const suite = await getSuite(suiteId)
+    if (!suite) return res.status(404).json({ error: 'Suite not found' })
+    return res.json(estimateComparison({ tasks: suite.tasks.map((item) => item.task), frameworks, models: modelIds, repetitions, callsFor }))
+  }
+  // Without a task yet, estimate the bare prompt overhead
+  const resolved = resolveTasks(req.body.template ? req.body : { task: '', ...req.body }, res)
+  if (!resolved) return
+  res.json(estimateComparison({ tasks: resolved.items.map((item) => item.task), frameworks, models: modelIds, repetitions, callsFor }))
 })
 
-app.post('/api/crewai', async (req, res) => {
-  const { task, modelId } = req.body
-  const result = await simulateAgent({
-    task,
-    model: modelId,
-    framework: 'CrewAI',
-    styles: ['Role-playing', 'Task delegation', 'Hierarchical', 'Structured'],
-    stepsHint: 'Researcher gathers info -> Manager delegates -> Writer compiles -> Reviewer approves'
+app.get('/api/templates', (req, res) => {
+  res.json(listTemplates())
+})
+
+app.get('/api/templates/:id', (req, res) => {
+  const template = getTemplate(req.params.id)
+  if (!template) return res.status(404).json({ error: 'Template not found' })
+  res.json(template)
+})
+
+app.post('/api/templates', validateBody(schemas.template), async (req, res) => {
+  res.status(201).json(await createTemplate({ name: req.body.name, task: req.body.task }))
+})
+
+app.put('/api/templates/:id', validateBody(schemas.template), async (req, res) => {
+  const template = await updateTemplate(req.params.id, { name: req.body.name, task: req.body.task })
+  if (!template) return res.status(404).json({ error: 'Template not found' })
+  res.json(template)
+})
+
+app.delete('/api/templates/:id', async (req, res) => {
+  const deleted = await deleteTemplate(req.params.id)
+  if (!deleted) return res.status(404).json({ error: 'Template not found' })
+  res.status(204).end()
+})
+
+// Custom framework profiles; the catalog lists them with the built-in adapters
+const profileFields = ({ name, accent, traits, stepsHint, systemPrompt }) => ({ name, accent, traits, stepsHint, systemPrompt })
+
+app.post('/api/profiles', validateBody(schemas.profile), async (req, res) => {
+  res.status(201).json(describeAdapter(await createProfile(profileFields(req.body))))
+})
+
+app.put('/api/profiles/:id', validateBody(schemas.profile), async (req, res) => {
+  const profile = await updateProfile(req.params.id, profileFields(req.body))
+  if (!profile) return res.status(404).json({ error: 'Profile not found' })
+  res.json(describeAdapter(profile))
+})
+
+app.delete('/api/profiles/:id', async (req, res) => {
+  const deleted = await deleteProfile(req.params.id)
+  if (!deleted) return res.status(404).json({ error: 'Profile not found' })
+  res.status(204).end()
+})
+
+app.get('/api/suites', async (req, res) => {
+  res.json(await listSuites())
+})
+
+app.get('/api/suites/:id', async (req, res) => {
+  const suite = await getSuite(req.params.id)
+  if (!suite) return res.status(404).json({ error: 'Suite not found' })
+  res.json(suite)
+})
+
+// Runs every task in the suite across the selected matrix as one comparison job
+app.post('/api/suites/:id/run', validateBody(schemas.suiteRun), async (req, res) => {
+  const suite = await getSuite(req.params.id)
+  if (!suite) return res.status(404).json({ error: 'Suite not found' })
+  if (!suite.tasks.length) return badRequest(res, [{ field: 'suite', message: 'has no tasks', value: suite.id }])
+  const { frameworks, models: modelIds, repetitions, concurrency, noCache } = req.body
+  if (refuseOverBudget(req, res, suite.tasks.map((item) => item.task), frameworks, modelIds)) return
+  const release = claimRunSlot(req, res)
+  if (!release) return
+
+  const faults = resolveFaults(req.get('x-mock-fault'))
+  const job = createCompareJob({
+    tasks: suite.tasks,
+    suite: { id: suite.id, name: suite.name },
+    frameworks,
+    models: modelIds,
+    repetitions,
+    concurrency,
+    faults,
+    noCache,
+    sessionId: sessionOf(req),
   })
-  res.json(result)
+  releaseWhenDone(job, release)
+  res.status(202).json({ id: job.id, status: job.status })
 })
 
-app.post('/api/llamaindex', async (req, res) => {
-  const { task, modelId } = req.body
-  const result = await simulateAgent({
-    task,
-    model: modelId,
-    framework: 'LlamaIndex',
-    styles: ['Data-centric', 'Retrieval-augmented', 'Query engine', 'Synthesizer'],
-    stepsHint: 'Query breakdown -> Retrieve nodes -> Rerank results -> Synthesize response'
+app.get('/api/compare/:id', (req, res) => {
+  const job = getCompareJob(req.params.id)
+  if (!job) return res.status(404).json({ error: 'Comparison not found' })
+  res.json(job)
+})
+
+app.get('/api/compare/:id/report', (req, res) => {
+  const job = getCompareJob(req.params.id)
+  if (!job) return res.status(404).json({ error: 'Comparison not found' })
+  res.json(buildReport(job, { includeNonLive: req.query.includeNonLive === 'true' }))
+})
+
+// Live progress for a comparison: a 'snapshot' first, then cell/step/token events until 'done'
+app.get('/api/compare/:id/events', (req, res) => {
+  const job = getCompareJob(req.params.id)
+  if (!job) return res.status(404).json({ error: 'Comparison not found' })
+
+  const { send } = openEventStream(res)
+  send('snapshot', job)
+  if (job.status === 'done') {
+    send('done', { id: job.id, status: job.status, finishedAt: job.finishedAt })
+    return res.end()
+  }
+
+  const unsubscribe = subscribeCompareJob(job.id, (event, data) => {
+    send(event, data)
+    if (event === 'done') {
+      unsubscribe()
+      res.end()
+    }
   })
-  res.json(result)
+  res.on('close', unsubscribe)
+})
+
+app.get('/api/runs', (req, res) => {
+  res.json(listComparisons())
+})
+
+app.get('/api/runs/:id', (req, res) => {
+  const record = getComparison(req.params.id)
+  if (!record) return res.status(404).json({ error: 'Comparison not found' })
+  res.json(record)
+})
+
+app.get('/api/runs/:id/report', (req, res) => {
+  const record = getComparison(req.params.id)
+  if (!record) return res.status(404).json({ error: 'Comparison not found' })
+  res.json(buildReport(record, { includeNonLive: req.query.includeNonLive === 'true' }))
+})
+
+// Downloads a stored comparison as csv, json, md or html
+app.get('/api/runs/:id/export/:format', (req, res) => {
+  const record = getComparison(req.params.id)
+  if (!record) return res.status(404).json({ error: 'Comparison not found' })
+  const format = exportFormats[req.params.format]
+  if (!format) {
+    return badRequest(res, [{ field: 'format', message: `must be one of ${Object.keys(exportFormats).join(', ')}`, value: req.params.format }])
+  }
+
+  res.type(format.type)
+  res.attachment(`comparison-${record.id.slice(0, 8)}.${req.params.format}`)
+  res.send(format.render(record, { includeNonLive: req.query.includeNonLive === 'true' }))
+})
+
+app.post('/api/runs/:id/share', async (req, res) => {
+  const shareId = await ensureShareId(req.params.id)
+  if (!shareId) return res.status(404).json({ error: 'Comparison not found' })
+  res.json({ shareId })
+})
+
+// Read-only view of a stored comparison by its share id
+app.get('/api/share/:shareId', (req, res) => {
+  const record = getComparisonByShareId(req.params.shareId)
+  if (!record) return res.status(404).json({ error: 'Shared comparison not found' })
+  res.json(record)
+})
+
+app.delete('/api/runs/:id', async (req, res) => {
+  const deleted = await deleteComparison(req.params.id)
+  if (!deleted) return res.status(404).json({ error: 'Comparison not found' })
+  res.status(204).end()
+})
+
+// Holds a single run's estimated cost against the session and daily budgets.
+// Returns the settle function, or answers 402 and returns undefined.
+const holdBudget = (req, res, adapter, task, modelId) => {
+  try {
+    return reserveSpend({ sessionId: sessionOf(req) }, estimateRun(modelId, task, callsPerRun(adapter, task)))
+  } catch (err) {
+    if (!(err instanceof BudgetError)) throw err
+    budgetError(res, err)
+  }
+}
+
+// Two routes per framework, custom profiles included: e.g. POST /api/langgraph and
+// POST /api/langgraph/stream. Registered last, so the fixed routes above take precedence.
+const findAdapter = (req, res, next) => {
+  req.adapter = getAdapter(req.params.framework)
+  if (!req.adapter) return res.status(404).json({ error: 'Framework not found' })
+  next()
+}
+
+app.post('/api/:framework', findAdapter, validateBody(schemas.run), async (req, res) => {
+  const { adapter } = req
+  const { task, modelId, noCache } = req.body
+  const faults = resolveFaults(req.get('x-mock-fault'))
+  const release = claimRunSlot(req, res)
+  if (!release) return
+  const settle = holdBudget(req, res, adapter, task, modelId)
+  if (!settle) return release()
+  let result
+  try {
+    result = await runAdapter(adapter, { task, modelId, faults, noCache })
+  } catch (err) {
+    settle(0)
+    release()
+    return res.status(502).json({ error: err.message || 'Failed' })
+  }
+  // Past the run, failures (like a spend file that can't be written) are the server's: 500
+  try {
+    await settle(spendOf(result))
+    res.json(await evaluateRun(task, result))
+  } finally {
+    release()
+  }
+})
+
+// SSE variant: 'step' and 'token' events while running, then 'result' with the final metrics
+app.post('/api/:framework/stream', findAdapter, validateBody(schemas.run), async (req, res) => {
+  const { adapter } = req
+  const { task, modelId, noCache } = req.body
+  const faults = resolveFaults(req.get('x-mock-fault'))
+  const release = claimRunSlot(req, res)
+  if (!release) return
+  const settle = holdBudget(req, res, adapter, task, modelId)
+  if (!settle) return release()
+  const { send } = openEventStream(res)
+  try {
+    const onEvent = ({ type, ...data }) => send(type, data)
+    const result = await runAdapter(adapter, { task, modelId, faults, noCache, onEvent })
+    await settle(spendOf(result))
+    send('result', await evaluateRun(task, result))
+  } catch (err) {
+    settle(0)
+    send('error', { error: err.message || 'Failed' })
+  } finally {
+    release()
+  }
+  res.end()
 })
 
+app.use(handleBodyErrors)
+
 const port = process.env.PORT || 5174
 app.listen(port, () => console.log(`API listening on ${port}`))
-
@@ -0,0 +1,186 @@
+import { randomUUID } from 'node:crypto'
+import { callsPerRun, getAdapter, runAdapter } from './registry.js'
+import { saveComparison } from './history.js'
+import { evaluateRun } from './evaluate.js'
+import { createLedger, reserveSpend, spendOf, spendStatus, BudgetError } from './budget.js'
+import { estimateRun } from './pricing.js'
+
+const MAX_JOBS = 50
+const jobs = new Map()
+const subscribers = new Map()
+
+const defaultConcurrency = () => Math.max(1, Number(process.env.COMPARE_CONCURRENCY) || 4)
+
+// Runs `worker` over `items` with at most `limit` in flight at once
+const runWithConcurrency = async (items, limit, worker) => {
+  let next = 0
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++]
+      await worker(item)
+    }
+  })
+  await Promise.all(lanes)
+}
+
+// Same normalized shape the UI used to build from each /api/<framework> call
+const toRunResult = (data, latency) => ({
+  output: data.output ?? '',
+  steps: data.steps ?? [],
+  toolCalls: data.toolCalls ?? [],
+  stages: data.stages,
+  turns: data.turns,
+  trace: data.trace,
+  metrics: {
+    latency,
+    tokens: data.tokens ?? 0,
+    cost: data.cost ?? 0,
+    promptTokens: data.usage?.promptTokens ?? 0,
+    completionTokens: data.usage?.completionTokens ?? 0,
+    cachedTokens: data.usage?.cachedTokens ?? 0,
+    retries: data.upstream?.retries ?? 0,
+    retryWaitMs: data.upstream?.waitMs ?? 0,
+    quality: data.quality ?? 0,
+    coverage: data.coverage ?? 0,
+    safety: data.safety ?? 0,
+  },
+  judge: data.judge,
+  analysis: data.analysis,
+  cached: Boolean(data.cached),
+  cachedAt: data.cachedAt,
+  source: data.source,
+  fallback: data.fallback,
+})
+
+const emit = (job, event, data) => {
+  for (const listener of subscribers.get(job.id) ?? []) listener(event, data)
+}
+
+// Partial steps and output accumulate on the cell while it streams,
+// so late subscribers and pollers see progress too.
+// A cell that no longer fits a budget is skipped rather than run, trimming the comparison.
+const runCell = async (job, cell) => {
+  const { task, reference, rubric } = job.tasks[cell.taskIndex]
+  // Custom profiles can be deleted while a job is queued
+  const adapter = getAdapter(cell.frameworkId)
+  let settle
+  try {
+    settle = reserveSpend({ sessionId: job.sessionId, comparison: job.spend }, estimateRun(cell.modelId, task, callsPerRun(adapter, task)))
+  } catch (err) {
+    if (!(err instanceof BudgetError)) throw err
+    Object.assign(cell, { status: 'skipped', error: err.message })
+    emit(job, 'cell', cell)
+    return
+  }
+  Object.assign(cell, { status: 'running', steps: [], toolCalls: [], output: '' })
+  emit(job, 'cell', cell)
+  const onEvent = (event) => {
+    if (event.type === 'step') {
+      cell.steps.push(event.step)
+      emit(job, 'step', { cellId: cell.id, step: event.step })
+    } else if (event.type === 'token') {
+      // `restart` means the answer is being rewritten from scratch (a pipeline revision)
+      cell.output = (event.restart ? '' : cell.output) + event.text
+      emit(job, 'token', { cellId: cell.id, text: event.text, ...(event.restart && { restart: true }) })
+    } else if (event.type === 'tool') {
+      cell.toolCalls.push(event.call)
+      emit(job, 'tool', { cellId: cell.id, call: event.call })
+    }
+  }
+
+  // A repeated combo measures every sample for real: a cache hit would report the lookup as its latency
+  const noCache = job.noCache || job.repetitions > 1
+  const start = performance.now()
+  try {
+    if (!adapter) throw new Error(`Framework ${cell.frameworkId} no longer exists`)
+    const data = await runAdapter(adapter, { task, modelId: cell.modelId, repetition: cell.repetition, faults: job.faults, noCache, onEvent })
+    // Scoring happens after the clock stops so it never counts as run latency
+    const latency = +((performance.now() - start) / 1000).toFixed(1)
+    // Nobody waits on a job's request, so a failed spend write is only logged
+    settle(spendOf(data)).catch((err) => console.error(`Comparison ${job.id} failed to save its spend:`, err))
+    Object.assign(cell, toRunResult(await evaluateRun(task, data, { reference, rubric }), latency), { status: 'done' })
+  } catch (err) {
+    console.error(`Comparison ${job.id} cell ${cell.id} failed:`, err)
+    settle(0)
+    cell.status = 'error'
+    cell.error = err.message || 'Failed'
+  }
+  emit(job, 'cell', cell)
+  emit(job, 'spend', spendStatus({ sessionId: job.sessionId, comparison: job.spend }))
+}
+
+const pruneJobs = () => {
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_JOBS) break
+    if (job.status === 'done') jobs.delete(id)
+  }
+}
+
+// A plain comparison runs one `task`; a benchmark suite passes `tasks`
+// ({ task, reference, tags, rubric } items) plus the `suite` it came from. A template
+// expanded over rows of values passes `tasks` too ({ task, values, label, tags } items),
+// with `task` the unfilled template and `template` the saved one it came from, if any.
+// With `repetitions` above 1, every combo runs that many times, numbered by `repetition`.
+// Spend is charged to `sessionId` and to the job's own ledger (see budget.js).
+export const createCompareJob = ({ task, tasks, suite, template, frameworks, models, repetitions = 1, concurrency, faults, noCache, sessionId }) => {
+  const items = tasks ?? [{ task, tags: [] }]
+  const cellId = (taskIndex, frameworkId, modelId, repetition) =>
+    (items.length > 1 ? `${taskIndex}:` : '') + `${frameworkId}-${modelId}` + (repetitions > 1 ? `#${repetition + 1}` : '')
+
+  const job = {
+    id: randomUUID(),
+    status: 'running',
+    task: task ?? null,
+    tasks: items,
+    suite: suite ?? null,
+    template: template ?? null,
+    frameworks,
+    models,
+    repetitions,
+    concurrency: Math.max(1, Math.floor(Number(concurrency)) || defaultConcurrency()),
+    faults,
+    noCache: Boolean(noCache),
+    sessionId,
+    spend: createLedger(),
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    cells: items.flatMap((_, taskIndex) =>
+      frameworks.flatMap((frameworkId) =>
+        models.flatMap((modelId) =>
+          Array.from({ length: repetitions }, (_, repetition) => ({
+            id: cellId(taskIndex, frameworkId, modelId, repetition),
+            taskIndex,
+            frameworkId,
+            modelId,
+            repetition,
+            status: 'pending',
+          }))
+        )
+      )
+    ),
+  }
+  jobs.set(job.id, job)
+  pruneJobs()
+
+  runWithConcurrency(job.cells, job.concurrency, (cell) => runCell(job, cell)).then(() => {
+    job.status = 'done'
+    job.finishedAt = new Date().toISOString()
+    saveComparison(job).catch((err) => console.error(`Failed to save comparison ${job.id}:`, err))
+    emit(job, 'done', { id: job.id, status: job.status, finishedAt: job.finishedAt })
+  })
+
+  return job
+}
+
+export const getCompareJob = (id) => jobs.get(id)
+
+// Listener receives (event, data) for 'cell', 'step', 'token', 'tool', 'spend' and 'done'. Returns an unsubscribe function.
+export const subscribeCompareJob = (id, listener) => {
+  if (!subscribers.has(id)) subscribers.set(id, new Set())
+  subscribers.get(id).add(listener)
+  return () => {
+    const set = subscribers.get(id)
+    set?.delete(listener)
+    if (!set?.size) subscribers.delete(id)
+  }
+}
@@ -0,0 +1,184 @@
+import { models } from './models.js'
+import { extractKeyTerms } from './scoring.js'
+import { costOf } from './pricing.js'
+import { syntheticTrace } from './trace.js'
+import { taskContent, taskText } from './tasks.js'
+
+// Seeded helpers (same approach as the original web prototype) so a given
+// task × framework × model always produces the same mock run.
+export const hashString = (value) => {
+  let hash = 0
+  for (let i = 0; i < value.length; i += 1) {
+    hash = Math.imul(31, hash) + value.charCodeAt(i)
+  }
+  return Math.abs(hash)
+}
+
+const seededNumber = (seed, offset = 0) => {
+  const x = Math.sin(seed + offset) * 10000
+  return x - Math.floor(x)
+}
+
+const pick = (list, seed, offset = 0) => list[(seed + offset) % list.length]
+
+const between = (min, max, seed, offset) => min + (max - min) * seededNumber(seed, offset)
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const stageDetails = [
+  'clarified the goal and hard constraints',
+  'pulled supporting facts and tool results',
+  'drafted two options and scored them on cost, coverage and risk',
+  'checked edge cases against the success criteria',
+  'tightened the wording and removed unsupported claims',
+  'recorded a short follow-up checklist',
+]
+
+const outputAngles = [
+  'Framed the objective and success guardrails, then aligned agent roles.',
+  'Leaned on high-coverage retrieval to ground the answer and prune hallucinations.',
+  'Ran a two-pass critique to stress test the proposed approach.',
+  'Optimized for speed-first execution while tracking risk triggers.',
+]
+
+const planLines = [
+  'Scope the smallest version that proves the idea',
+  'Wire the data sources and validate them with a dry run',
+  'Split the work across agents with clear handoffs',
+  'Add evaluation checkpoints before anything ships',
+  'Instrument cost and latency from day one',
+  'Review the output with a human before launch',
+]
+
+const closingNotes = [
+  'Next move: validate critical paths with a dry-run tool call and tighten any cost outliers.',
+  'Highlight: reused context across tools to cut latency without losing rigor.',
+  'Risk: watch for stale data; schedule a refresh cadence before launch.',
+  'Bonus: snapshot intermediate traces for quick human-in-the-loop review.',
+]
+
+// Per model-style tendencies; unknown styles get neutral values
+const styleProfiles = {
+  analysis: { quality: 86, coverage: 88, speed: 1.1, verbosity: 1.15 },
+  reasoned: { quality: 88, coverage: 86, speed: 1.25, verbosity: 1.25 },
+  'open-weight': { quality: 76, coverage: 79, speed: 0.9, verbosity: 0.9 },
+  speed: { quality: 78, coverage: 80, speed: 0.6, verbosity: 0.8 },
+}
+const neutralProfile = { quality: 80, coverage: 82, speed: 1, verbosity: 1 }
+
+
+const stagesFrom = (stepsHint, framework) => {
+  const stages = stepsHint.split('->').map((s) => s.trim()).filter(Boolean)
+  return stages.length ? stages : [`Initialize ${framework}`, 'Process input', 'Generate response', 'Finalize']
+}
+
+// Parses "error:0.2,slow" style fault specs into { error: 0.2, slow: 1 }
+export const parseFaults = (spec) => {
+  if (!spec) return {}
+  return Object.fromEntries(
+    spec.split(',').map((part) => part.trim()).filter(Boolean).map((part) => {
+      const [kind, rate] = part.split(':').map((s) => s.trim())
+      return [kind, rate === undefined ? 1 : clamp(Number(rate) || 0, 0, 1)]
+    })
+  )
+}
+
+// Request header wins over the MOCK_FAULTS default so one request can force a failure
+export const resolveFaults = (header) => parseFaults(header ?? process.env.MOCK_FAULTS)
+
+const faultKinds = ['error', 'timeout', 'slow']
+
+const chooseFault = (faults, seed) =>
+  faultKinds.find((kind, i) => faults[kind] && seededNumber(seed, 100 + i) < faults[kind])
+
+const latencyScale = () => {
+  const scale = Number(process.env.MOCK_LATENCY_SCALE)
+  return Number.isFinite(scale) && scale >= 0 ? scale : 1
+}
+
+// Builds a plausible, framework-flavoured result for this exact task × framework × model.
+// A conversation is answered as one prompt (see taskText in tasks.js). Repeated runs
+// (`repetition` 1 and up) get seeds of their own, so their samples spread like real ones.
+export const buildMockRun = ({ task, model, framework, styles = [], stepsHint = '', repetition = 0 }) => {
+  const prompt = taskText(task)
+  const seed = hashString(`${prompt}::${framework}::${model}${repetition ? `::${repetition}` : ''}`)
+  const modelInfo = models.find((m) => m.id === model)
+  const profile = styleProfiles[modelInfo?.style] ?? neutralProfile
+  const stages = stagesFrom(stepsHint, framework)
+  const trait = styles.length ? pick(styles, seed, 3).toLowerCase() : 'general-purpose'
+
+  const details = stages.map((_, i) => pick(stageDetails, seed, i))
+  const steps = stages.map((stage, i) => `${stage}: ${details[i]}`)
+  const plan = Array.from({ length: 3 + (seed % 3) }, (_, i) => `${i + 1}. ${pick(planLines, seed, i)}`)
+  // Relative time each stage takes, for the trace
+  const traceStages = stages.map((stage, i) => ({ name: stage, detail: details[i], weight: between(40, 900, seed, 20 + i) }))
+
+  // Echo only some of the task's key terms so heuristic coverage differs between combos
+  const keyTerms = extractKeyTerms(taskContent(task))
+  const focus = keyTerms.filter((_, i) => seededNumber(seed, 30 + i) < profile.coverage / 100)
+  const answer = [
+    `${pick(outputAngles, seed, 1)} Focus areas: ${(focus.length ? focus : keyTerms.slice(0, 1)).join(', ') || 'the stated goal'}.`,
+    `Approach (${trait}, ${modelInfo?.name ?? model}):`,
+    plan.join('\n'),
+    pick(closingNotes, seed, 2),
+  ].join('\n\n')
+
+  const promptTokens = Math.round(prompt.length / 4) + 180
+  const completionTokens = Math.round((220 + between(0, 380, seed, 4)) * profile.verbosity * (stages.length / 4))
+  const tokens = promptTokens + completionTokens
+
+  return {
+    output: answer,
+    tokens,
+    cost: costOf(model, { promptTokens, completionTokens }),
+    usage: { promptTokens, completionTokens, cachedTokens: 0 },
+    steps,
+    quality: Math.round(clamp(profile.quality + between(-8, 8, seed, 5), 40, 99)),
+    coverage: Math.round(clamp(profile.coverage + between(-10, 8, seed, 6), 40, 99)),
+    safety: Math.round(between(86, 100, seed, 7)),
+    latencyMs: Math.round(1200 * profile.speed * (stages.length / 4) * between(0.75, 1.35, seed, 8)),
+    traceStages,
+    seed,
+  }
+}
+
+// Runs the mock engine: applies injected faults, waits out the simulated latency
+// (scaled by MOCK_LATENCY_SCALE) and, with `onEvent`, streams steps and tokens.
+// The trace spreads the framework's stages over that latency.
+export const mockAgent = async ({ task, model, framework, styles, stepsHint, repetition, faults = {}, onEvent }) => {
+  const { latencyMs, seed, traceStages, ...run } = buildMockRun({ task, model, framework, styles, stepsHint, repetition })
+  const fault = chooseFault(faults, seed)
+  const scale = latencyScale()
+
+  if (fault === 'error') {
+    await sleep(latencyMs * 0.3 * scale)
+    throw new Error(`Injected mock failure for ${framework} × ${model}`)
+  }
+  if (fault === 'timeout') {
+    const timeoutMs = Number(process.env.MOCK_TIMEOUT_MS) || 15000
+    await sleep(timeoutMs)
+    throw new Error(`Mock upstream timed out after ${timeoutMs / 1000}s`)
+  }
+
+  const totalMs = latencyMs * (fault === 'slow' ? 4 : 1) * scale
+  const trace = syntheticTrace({ name: `${framework} run`, agent: framework, stages: traceStages, durationMs: totalMs, usage: run.usage, cost: run.cost })
+  const result = { ...run, trace }
+  if (!onEvent) {
+    await sleep(totalMs)
+    return result
+  }
+
+  // Spend ~40% of the latency on steps and the rest on output tokens
+  const words = result.output.split(/(?<=\s)/)
+  for (const step of result.steps) {
+    onEvent({ type: 'step', step })
+    await sleep((totalMs * 0.4) / result.steps.length)
+  }
+  for (const word of words) {
+    onEvent({ type: 'token', text: word })
+    await sleep((totalMs * 0.6) / words.length)
+  }
+  return result
+}
@@ -0,0 +1,8 @@
+// `route` says which provider client serves the model and under what upstream name
+// (see providers.js). MODEL_ROUTES can override it per deployment.
+export const models = [
+  { id: 'gpt-41', name: 'GPT-4.1', vendor: 'OpenAI', style: 'analysis', route: { provider: 'openai', model: 'gpt-4.1' } },
+  { id: 'claude-37', name: 'Claude 3.7 Sonnet', vendor: 'Anthropic', style: 'reasoned', route: { provider: 'anthropic', model: 'claude-3-7-sonnet-latest' } },
+  { id: 'llama-33', name: 'Llama 3.3 70B', vendor: 'Meta', style: 'open-weight', route: { provider: 'compat', model: 'llama3.3:70b' } },
+  { id: 'gemini-20', name: 'Gemini 2.0 Flash', vendor: 'Google', style: 'speed', route: { provider: 'google', model: 'gemini-2.0-flash' } },
+]
@@ -0,0 +1,11 @@
+// Returns the configured OpenAI key, or '' when it is missing, invalid or just the placeholder
+export const getOpenAIKey = () => {
+  // Agressive sanitation: remove anything that isn't alphanumeric or hyphen
+  const rawKey = process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.trim() : ''
+  const apiKey = rawKey.replace(/[^a-zA-Z0-9-]/g, '')
+
+  if (!apiKey || !apiKey.startsWith('sk-') || apiKey === 'sk-placeholder' || rawKey.includes('placeholder')) {
+    return ''
+  }
+  return apiKey
+}
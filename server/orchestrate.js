@@ -0,0 +1,228 @@
+import { costOf } from './pricing.js'
+import { mockAgent } from './mock.js'
+import { complete, isLive, routeFor } from './providers.js'
+import { failureOf, runRetryStats } from './upstream.js'
+import { createTracer, withFailure } from './trace.js'
+import { isConversation, systemOf, taskText, userTurns } from './tasks.js'
+
+// Orchestration engine: runs a framework profile's `pipeline` as chained LLM calls
+// on the selected model, instead of one roleplay prompt. A pipeline is a list of stages:
+//
+//   { id, role, prompt, reads?, maxTokens?, critique? }
+//
+// - `prompt` is the stage's instruction; the task is always passed in (for a conversation,
+//   the turn being answered and the ones before it, see runPipeline).
+// - `reads` lists earlier stages whose latest output the stage sees (default: all of them).
+// - `critique: { target, maxRounds, approve? }` makes the stage a critic. Its reply starts with
+//   `approve` (default 'APPROVED') to let the pipeline go on, or with REVISE: and feedback,
+//   which sends control back to `target` with that feedback, at most `maxRounds` times.
+//
+// `pipeline.output` names the stage whose output is the answer (default: the last non-critic);
+// its tokens stream through `onEvent`. When a critic sends it back, the next round's first
+// token carries `restart: true`, since the answer starts over.
+// `pipeline.maxCalls` (default 12) stops runaway loops. Every call is measured, so results
+// carry per-stage tokens, cost and latency in `stages`, and a trace (see trace.js) with a
+// span per call plus a handoff span whenever control passes to another role.
+
+const DEFAULT_MAX_CALLS = 12
+const DEFAULT_STAGE_TOKENS = 600
+
+const outputStageOf = (pipeline) =>
+  pipeline.output ?? [...pipeline.stages].reverse().find((stage) => !stage.critique)?.id
+
+const systemPromptFor = (stage, adapter) => {
+  const lines = [
+    `You are the ${stage.role} in a ${adapter.name} pipeline (${(adapter.traits ?? []).join(', ')}).`,
+    stage.prompt,
+  ]
+  if (stage.critique) {
+    lines.push(`Start your reply with ${stage.critique.approve ?? 'APPROVED'} if the work is good enough, or with REVISE: followed by the concrete fixes needed.`)
+  }
+  return lines.join('\n')
+}
+
+const userPromptFor = (stage, { task, state, stages, feedback, round }) => {
+  const reads = stage.reads ?? stages.slice(0, stages.indexOf(stage)).map((s) => s.id)
+  const parts = [`Task:\n${task}`]
+  for (const id of reads) {
+    if (state[id] === undefined) continue
+    parts.push(`${stages.find((s) => s.id === id)?.role ?? id} (${id}):\n${state[id]}`)
+  }
+  if (feedback[stage.id]) parts.push(`Feedback to address:\n${feedback[stage.id]}`)
+  if (stage.critique) parts.push(`Review round ${round} of ${stage.critique.maxRounds + 1}`)
+  return parts.join('\n\n')
+}
+
+// The task as the pipeline sees it on turn `turn` of a conversation: the instructions,
+// the earlier turns with the answers it gave, then the message to answer now
+const turnTask = (task, turn, replies) => {
+  if (!isConversation(task) || task.turns.length === 1) return taskText(task)
+  return [
+    systemOf(task) && `System: ${systemOf(task)}`,
+    ...replies.flatMap(({ user, output }, i) => [`User (turn ${i + 1}): ${user}`, `Assistant: ${output}`]),
+    `User (turn ${turn + 1}): ${task.turns[turn]}`,
+  ].filter(Boolean).join('\n\n')
+}
+
+// First sentence of a stage's output, for the steps list
+const gist = (text) => {
+  const line = text.replace(/^(APPROVED|REVISE:|TERMINATE)\s*/i, '').trim().split('\n')[0]
+  const sentence = line.split(/(?<=[.!?])\s/)[0]
+  return sentence.length > 120 ? `${sentence.slice(0, 117)}...` : sentence
+}
+
+// Runs `adapter.pipeline` for one task on `modelId`. Without a live provider the mock
+// engine answers, like the simulator; a failing call falls back to it too.
+// A conversation is played turn by turn: the whole pipeline runs once per user turn,
+// seeing the earlier turns and its own answers to them (see turnTask). The run's answer is
+// the last turn's, only that turn streams tokens, and results list every reply in
+// `turns: [{ user, output }]`. Steps and spans are prefixed with their turn, stages carry
+// `turn`, and `maxCalls` applies to each turn.
+export const runPipeline = async (adapter, { task, modelId, repetition, faults, onEvent }) => {
+  const mock = () => mockAgent({
+    task,
+    model: modelId,
+    framework: adapter.name,
+    styles: adapter.traits ?? [],
+    stepsHint: adapter.stepsHint ?? '',
+    repetition,
+    faults,
+    onEvent,
+  })
+  if (!isLive(modelId)) return { ...(await mock()), source: 'mock' }
+
+  const { stages, maxCalls = DEFAULT_MAX_CALLS } = adapter.pipeline
+  const outputStage = outputStageOf(adapter.pipeline)
+  const route = routeFor(modelId)
+  const stats = runRetryStats()
+  const turns = userTurns(task)
+  const multiTurn = turns.length > 1
+  const measured = []
+  const steps = []
+  const replies = []
+  const tracer = createTracer({ name: `${adapter.name} run`, agent: adapter.name })
+  let streamed = false
+
+  // One pass through the stages for turn `turn`; resolves with the output stage's answer
+  const playTurn = async (turn) => {
+    const label = (text) => (multiTurn ? `Turn ${turn + 1}: ${text}` : text)
+    const spanName = (text) => (multiTurn ? `turn ${turn + 1} · ${text}` : text)
+    const streams = onEvent && turn === turns.length - 1
+    const prompt = turnTask(task, turn, replies)
+    const state = {}
+    const feedback = {}
+    const rounds = {}
+    let calls = 0
+    let previous = null
+    let index = 0
+    while (index < stages.length) {
+      if (calls >= maxCalls) {
+        steps.push(label(`Stopped after ${maxCalls} calls`))
+        tracer.event(tracer.root, steps.at(-1))
+        onEvent?.({ type: 'step', step: steps.at(-1) })
+        break
+      }
+      const stage = stages[index]
+      rounds[stage.id] = (rounds[stage.id] ?? 0) + 1
+      if (previous && previous.role !== stage.role) {
+        const handoff = tracer.start({ name: spanName(`${previous.role} → ${stage.role}`), agent: previous.role, type: 'handoff' })
+        if (feedback[stage.id] && previous.critique?.target === stage.id) tracer.event(handoff, 'sent back for revision')
+        tracer.end(handoff)
+      }
+      const span = tracer.start({
+        name: spanName(rounds[stage.id] > 1 ? `${stage.id} (round ${rounds[stage.id]})` : stage.id),
+        agent: stage.role,
+        type: stage.critique ? 'critique' : 'llm',
+      })
+      const start = performance.now()
+      let restart = rounds[stage.id] > 1
+      calls += 1
+      const { content, usage } = await complete({
+        ...route,
+        system: systemPromptFor(stage, adapter),
+        user: userPromptFor(stage, { task: prompt, state, stages, feedback, round: rounds[stage.id] }),
+        maxTokens: stage.maxTokens ?? DEFAULT_STAGE_TOKENS,
+        ...(streams && stage.id === outputStage && {
+          onToken: (text) => {
+            onEvent({ type: 'token', text, ...(restart && { restart }) })
+            restart = false
+            streamed = true
+          },
+        }),
+        stats: stats.forCall(),
+      })
+      const text = content.trim()
+      state[stage.id] = text
+
+      const entry = {
+        id: stage.id,
+        role: stage.role,
+        ...(multiTurn && { turn: turn + 1 }),
+        round: rounds[stage.id],
+        latencyMs: Math.round(performance.now() - start),
+        tokens: usage.promptTokens + usage.completionTokens,
+        usage,
+        cost: costOf(modelId, usage),
+      }
+      measured.push(entry)
+
+      let next = index + 1
+      if (stage.critique) {
+        const approved = text.toUpperCase().startsWith((stage.critique.approve ?? 'APPROVED').toUpperCase())
+        const retry = !approved && rounds[stage.id] <= stage.critique.maxRounds
+        entry.verdict = approved ? 'approved' : retry ? 'revise' : 'unresolved'
+        if (retry) {
+          feedback[stage.critique.target] = text.replace(/^REVISE:\s*/i, '')
+          next = stages.findIndex((s) => s.id === stage.critique.target)
+        }
+      }
+      const verdicts = {
+        approved: 'approved',
+        revise: `asked for changes (${gist(text)})`,
+        unresolved: `still not satisfied after ${rounds[stage.id]} rounds`,
+      }
+      const step = label(`${stage.role}: ${entry.verdict ? verdicts[entry.verdict] : gist(text)}`)
+      steps.push(step)
+      tracer.event(span, step, 'step')
+      tracer.end(span, { tokens: entry.tokens, usage, cost: entry.cost, ...(entry.verdict && { verdict: entry.verdict }) })
+      onEvent?.({ type: 'step', step })
+      previous = stage
+      index = next
+    }
+    return state[outputStage] ?? ''
+  }
+
+  try {
+    for (const [turn, user] of turns.entries()) {
+      replies.push({ user, output: await playTurn(turn) })
+    }
+
+    const usage = measured.reduce((sum, { usage: u }) => ({
+      promptTokens: sum.promptTokens + u.promptTokens,
+      completionTokens: sum.completionTokens + u.completionTokens,
+      cachedTokens: sum.cachedTokens + u.cachedTokens,
+    }), { promptTokens: 0, completionTokens: 0, cachedTokens: 0 })
+    const tokens = usage.promptTokens + usage.completionTokens
+    const cost = costOf(modelId, usage)
+
+    return {
+      output: replies.at(-1).output,
+      ...(multiTurn && { turns: replies }),
+      tokens,
+      cost,
+      usage,
+      steps,
+      stages: measured,
+      trace: tracer.finish({ tokens, usage, cost }),
+      source: 'live',
+      upstream: stats.total(),
+    }
+  } catch (err) {
+    console.error(`Pipeline for ${adapter.id} failed at call ${measured.length + 1}:`, err)
+    const reason = failureOf(err)
+    // The mock answer replaces whatever the output stage had streamed
+    if (streamed) onEvent({ type: 'token', text: '', restart: true })
+    const result = await mock()
+    return { ...result, trace: withFailure(result.trace, reason), source: 'fallback', fallback: reason, upstream: stats.total() }
+  }
+}
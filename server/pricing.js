@@ -0,0 +1,58 @@
+import { readFileSync } from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { taskText } from './tasks.js'
+
+// Per-model token prices, in `currency` per 1M tokens. Input and output are billed
+// separately; cachedInput applies to prompt tokens the provider served from its cache.
+// PRICING_FILE may point at a JSON file with the same shape as pricing.json.
+const defaultFile = path.join(path.dirname(fileURLToPath(import.meta.url)), 'pricing.json')
+
+const loadPricing = () => JSON.parse(readFileSync(process.env.PRICING_FILE || defaultFile, 'utf8'))
+
+const pricing = loadPricing()
+
+export const currency = pricing.currency ?? 'USD'
+
+export const priceFor = (modelId) => {
+  const rates = { ...pricing.default, ...pricing.models?.[modelId] }
+  return { input: rates.input ?? 0, cachedInput: rates.cachedInput ?? rates.input ?? 0, output: rates.output ?? 0 }
+}
+
+// usage: { promptTokens, completionTokens, cachedTokens } where cachedTokens is part of promptTokens
+export const costOf = (modelId, { promptTokens = 0, completionTokens = 0, cachedTokens = 0 } = {}) => {
+  const rates = priceFor(modelId)
+  const cached = Math.min(cachedTokens, promptTokens)
+  return ((promptTokens - cached) * rates.input + cached * rates.cachedInput + completionTokens * rates.output) / 1e6
+}
+
+export const formatCost = (value) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: 4, maximumFractionDigits: 4 }).format(value ?? 0)
+
+// Rough pre-run estimate: ~4 characters per token, plus the framework/system prompt
+// overhead and a typical answer length, for each of the run's `calls` LLM calls
+// (see callsPerRun in registry.js). A conversation counts its whole text on every call.
+// Judge calls are not included.
+const PROMPT_OVERHEAD_TOKENS = 200
+const EXPECTED_COMPLETION_TOKENS = 700
+
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4)
+
+export const estimateRun = (modelId, task, calls = 1) =>
+  calls * costOf(modelId, { promptTokens: estimateTokens(taskText(task)) + PROMPT_OVERHEAD_TOKENS, completionTokens: EXPECTED_COMPLETION_TOKENS })
+
+// `callsFor(frameworkId, task)` gives the LLM calls one run of that framework makes on the task;
+// every combo runs `repetitions` times
+export const estimateComparison = ({ tasks, frameworks, models: modelIds, repetitions = 1, callsFor = () => 1 }) => {
+  const perModel = modelIds.map((modelId) => {
+    const cost = tasks.reduce((sum, task) =>
+      sum + frameworks.reduce((runs, frameworkId) => runs + estimateRun(modelId, task, callsFor(frameworkId, task)), 0), 0)
+    return { modelId, runs: tasks.length * frameworks.length * repetitions, cost: cost * repetitions }
+  })
+  return {
+    currency,
+    runs: tasks.length * frameworks.length * modelIds.length * repetitions,
+    total: perModel.reduce((sum, m) => sum + m.cost, 0),
+    perModel,
+  }
+}
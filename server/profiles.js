@@ -0,0 +1,85 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { randomUUID } from 'node:crypto'
+
+// Framework profiles defined from the UI, kept in PROFILES_FILE:
+//   { id, name, accent, traits, stepsHint, systemPrompt?, createdAt, updatedAt }
+// They run through the roleplay simulator (and the mock engine) like an adapter without a
+// pipeline; see registry.js, which lists them after the built-in adapters.
+const defaultFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'profiles.json')
+const profilesFile = process.env.PROFILES_FILE || defaultFile
+
+const loadProfiles = async () => {
+  try {
+    return JSON.parse(await readFile(profilesFile, 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    throw err
+  }
+}
+
+const profiles = await loadProfiles()
+
+// Writes run one after another. A failed one rejects for its caller, so the request
+// answers 500, without blocking the writes queued behind it.
+let writes = Promise.resolve()
+const persist = () => {
+  const write = writes.then(async () => {
+    await mkdir(path.dirname(profilesFile), { recursive: true })
+    await writeFile(profilesFile, JSON.stringify(profiles, null, 2))
+  })
+  writes = write.catch(() => {})
+  return write
+}
+
+// The adapter shape the registry serves: the process doubles as the description,
+// the first traits as strength pills. `custom` tells them apart from built-in adapters.
+const toAdapter = (profile) => ({
+  ...profile,
+  description: profile.stepsHint || 'Custom profile',
+  strengths: profile.traits.slice(0, 3),
+  custom: true,
+})
+
+const fieldsOf = ({ name, accent, traits = [], stepsHint = '', systemPrompt }) => ({
+  name,
+  accent: accent ?? '#99a3b8',
+  traits,
+  stepsHint,
+  ...(systemPrompt?.trim() && { systemPrompt }),
+})
+
+export const listProfiles = () => profiles.map(toAdapter)
+
+export const getProfile = (id) => {
+  const profile = profiles.find((p) => p.id === id)
+  return profile && toAdapter(profile)
+}
+
+// Ids are prefixed so they never collide with a built-in adapter or an /api route
+export const createProfile = async (fields) => {
+  const now = new Date().toISOString()
+  const profile = { id: `custom-${randomUUID().slice(0, 8)}`, ...fieldsOf(fields), createdAt: now, updatedAt: now }
+  profiles.push(profile)
+  await persist()
+  return toAdapter(profile)
+}
+
+// Returns the updated profile, or null when there is none with that id
+export const updateProfile = async (id, fields) => {
+  const index = profiles.findIndex((p) => p.id === id)
+  if (index === -1) return null
+  const { createdAt } = profiles[index]
+  profiles[index] = { id, ...fieldsOf(fields), createdAt, updatedAt: new Date().toISOString() }
+  await persist()
+  return toAdapter(profiles[index])
+}
+
+export const deleteProfile = async (id) => {
+  const index = profiles.findIndex((p) => p.id === id)
+  if (index === -1) return false
+  profiles.splice(index, 1)
+  await persist()
+  return true
+}
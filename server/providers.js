@@ -0,0 +1,182 @@
+import { readFileSync } from 'node:fs'
+import { models } from './models.js'
+import { getOpenAIKey } from './openai.js'
+import { readCompletionStream } from './streaming.js'
+import { upstreamCall } from './upstream.js'
+
+// Provider clients. Each one takes the same request and answers with
+// { content, usage: { promptTokens, completionTokens, cachedTokens } }, so callers never
+// see vendor response formats. Base URLs are configurable, which is also how the
+// clients get pointed at local stub servers (see scripts/stub-providers.js).
+//
+// - openai:    OPENAI_API_KEY, OPENAI_BASE_URL
+// - anthropic: ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL
+// - google:    GOOGLE_API_KEY, GOOGLE_BASE_URL
+// - compat:    any OpenAI-compatible server (Ollama, vLLM, ...): OPENAI_COMPAT_BASE_URL, OPENAI_COMPAT_API_KEY (optional)
+
+const env = (name) => process.env[name]?.trim() ?? ''
+const baseUrl = (name, fallback) => (env(name) || fallback).replace(/\/+$/, '')
+const isPlaceholder = (key) => !key || key.includes('placeholder') || key.endsWith('xxx')
+
+const jsonPost = (headers, body) => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+})
+
+// A request carries either one `user` message or `messages`, a conversation of
+// { role: 'user' | 'assistant', content } turns ending with the user's
+const messagesOf = ({ user, messages }) => messages ?? [{ role: 'user', content: user }]
+
+// OpenAI-style usage block -> our usage shape
+const usageFromOpenAI = (usage) => ({
+  promptTokens: usage?.prompt_tokens ?? 0,
+  completionTokens: usage?.completion_tokens ?? 0,
+  cachedTokens: usage?.prompt_tokens_details?.cached_tokens ?? 0,
+})
+
+// Chat completions, shared by OpenAI itself and compatible servers. The only client
+// that streams: onStep/onToken fire as the JSON reply arrives (see streaming.js).
+const chatCompletions = ({ name, url, key }) => ({
+  name,
+  ready: () => Boolean(url()),
+  async complete({ model, system, json, maxTokens, temperature, onStep, onToken, stats, ...turns }) {
+    const stream = Boolean(onStep || onToken)
+    const read = async (res) => {
+      if (stream) return readCompletionStream(res.body, { json: Boolean(json), onStep: onStep ?? (() => {}), onToken: onToken ?? (() => {}) })
+      const data = await res.json()
+      return { content: data.choices[0].message.content, usage: data.usage }
+    }
+    const apiKey = key()
+    const { content, usage } = await upstreamCall({
+      provider: name,
+      url: `${url()}/chat/completions`,
+      init: jsonPost(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+        model,
+        messages: [{ role: 'system', content: system }, ...messagesOf(turns)],
+        ...(json && { response_format: { type: 'json_object' } }),
+        ...(temperature !== undefined && { temperature }),
+        max_tokens: maxTokens,
+        ...(stream && { stream: true, stream_options: { include_usage: true } }),
+      }),
+      read,
+      stats,
+    })
+    return { content, usage: usageFromOpenAI(usage) }
+  },
+})
+
+// Anthropic Messages API. input_tokens excludes cache reads and writes, so they are added back.
+const anthropic = {
+  name: 'anthropic',
+  ready: () => !isPlaceholder(env('ANTHROPIC_API_KEY')),
+  async complete({ model, system, maxTokens, temperature, stats, ...turns }) {
+    const data = await upstreamCall({
+      provider: 'anthropic',
+      url: `${baseUrl('ANTHROPIC_BASE_URL', 'https://api.anthropic.com/v1')}/messages`,
+      init: jsonPost({ 'x-api-key': env('ANTHROPIC_API_KEY'), 'anthropic-version': '2023-06-01' }, {
+        model,
+        system,
+        messages: messagesOf(turns),
+        max_tokens: maxTokens,
+        ...(temperature !== undefined && { temperature }),
+      }),
+      read: (res) => res.json(),
+      stats,
+    })
+    const usage = data.usage ?? {}
+    const cachedTokens = usage.cache_read_input_tokens ?? 0
+    return {
+      content: (data.content ?? []).filter((block) => block.type === 'text').map((block) => block.text).join(''),
+      usage: {
+        promptTokens: (usage.input_tokens ?? 0) + cachedTokens + (usage.cache_creation_input_tokens ?? 0),
+        completionTokens: usage.output_tokens ?? 0,
+        cachedTokens,
+      },
+    }
+  },
+}
+
+// Gemini generateContent
+const google = {
+  name: 'google',
+  ready: () => !isPlaceholder(env('GOOGLE_API_KEY')),
+  async complete({ model, system, json, maxTokens, temperature, stats, ...turns }) {
+    const data = await upstreamCall({
+      provider: 'google',
+      url: `${baseUrl('GOOGLE_BASE_URL', 'https://generativelanguage.googleapis.com/v1beta')}/models/${encodeURIComponent(model)}:generateContent`,
+      init: jsonPost({ 'x-goog-api-key': env('GOOGLE_API_KEY') }, {
+        systemInstruction: { parts: [{ text: system }] },
+        contents: messagesOf(turns).map((m) => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          ...(temperature !== undefined && { temperature }),
+          ...(json && { responseMimeType: 'application/json' }),
+        },
+      }),
+      read: (res) => res.json(),
+      stats,
+    })
+    const usage = data.usageMetadata ?? {}
+    return {
+      content: (data.candidates?.[0]?.content?.parts ?? []).map((part) => part.text ?? '').join(''),
+      usage: {
+        promptTokens: usage.promptTokenCount ?? 0,
+        completionTokens: usage.candidatesTokenCount ?? 0,
+        cachedTokens: usage.cachedContentTokenCount ?? 0,
+      },
+    }
+  },
+}
+
+const providers = {
+  openai: {
+    ...chatCompletions({
+      name: 'openai',
+      url: () => baseUrl('OPENAI_BASE_URL', 'https://api.openai.com/v1'),
+      key: getOpenAIKey,
+    }),
+    ready: () => Boolean(getOpenAIKey()),
+  },
+  anthropic,
+  google,
+  compat: chatCompletions({
+    name: 'compat',
+    url: () => baseUrl('OPENAI_COMPAT_BASE_URL', ''),
+    key: () => env('OPENAI_COMPAT_API_KEY'),
+  }),
+}
+
+export const providerNames = Object.keys(providers)
+
+// MODEL_ROUTES may point at a JSON file of { "<model id>": { "provider": "...", "model": "..." } }
+// overriding the routes in models.js, e.g. to serve Llama from a local Ollama.
+const loadRoutes = () => (process.env.MODEL_ROUTES ? JSON.parse(readFileSync(process.env.MODEL_ROUTES, 'utf8')) : {})
+
+const routeOverrides = loadRoutes()
+
+export const routeFor = (modelId) => {
+  const route = { ...models.find((m) => m.id === modelId)?.route, ...routeOverrides[modelId] }
+  return route.provider && route.model ? route : null
+}
+
+// True when the model's provider has what it needs (a key, or a base URL for compat)
+export const isLive = (modelId) => {
+  const route = routeFor(modelId)
+  return Boolean(route && providers[route.provider]?.ready())
+}
+
+// Sends a system prompt plus one `user` turn, or a conversation of `messages`, to `provider`.
+// `json` asks for a JSON reply where the API supports it.
+export const complete = ({ provider, ...request }) => {
+  const client = providers[provider]
+  if (!client) throw new Error(`Unknown provider "${provider}"`)
+  return client.complete({ maxTokens: 1000, ...request })
+}
+
+// Models asked for "ONLY JSON" still wrap it in prose or code fences now and then
+export const parseJSONReply = (content) => {
+  const start = content.indexOf('{')
+  const end = content.lastIndexOf('}')
+  return JSON.parse(start >= 0 && end > start ? content.slice(start, end + 1) : content)
+}
@@ -0,0 +1,72 @@
+import { createHash } from 'node:crypto'
+import { verifiedKey } from './auth.js'
+
+// Per-client limits for /api/*: requests per rolling minute and runs in flight at once.
+// Clients are told apart by API key when auth is on and the key checks out, by address
+// otherwise: an unchecked key is free to vary, so it can't stand for a client.
+//   RATE_LIMIT_PER_MINUTE=120   0 turns the request limit off
+//   MAX_CONCURRENT_RUNS=4       comparisons plus single framework calls; 0 turns it off
+const limitFrom = (name, fallback) => {
+  const value = Number(process.env[name] ?? fallback)
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0
+}
+
+const WINDOW_MS = 60_000
+
+export const clientOf = (req) => {
+  const key = verifiedKey(req)
+  return key ? `key:${createHash('sha256').update(key).digest('hex').slice(0, 16)}` : `ip:${req.ip}`
+}
+
+const requests = new Map()
+const running = new Map()
+
+const tooMany = (res, message, retryAfterSeconds) => {
+  res.set('Retry-After', String(retryAfterSeconds))
+  res.status(429).json({ error: message, retryAfter: retryAfterSeconds })
+}
+
+export const rateLimit = (req, res, next) => {
+  const limit = limitFrom('RATE_LIMIT_PER_MINUTE', 120)
+  if (!limit) return next()
+  const client = clientOf(req)
+  const now = Date.now()
+  const recent = (requests.get(client) ?? []).filter((t) => t > now - WINDOW_MS)
+  if (recent.length >= limit) {
+    requests.set(client, recent)
+    return tooMany(res, `Rate limit of ${limit} requests per minute reached`, Math.ceil((recent[0] + WINDOW_MS - now) / 1000))
+  }
+  recent.push(now)
+  requests.set(client, recent)
+  res.set('RateLimit-Limit', String(limit))
+  res.set('RateLimit-Remaining', String(limit - recent.length))
+  next()
+}
+
+// Claims a run slot for the client. Returns a release function, or answers 429 and returns undefined.
+export const claimRunSlot = (req, res) => {
+  const limit = limitFrom('MAX_CONCURRENT_RUNS', 4)
+  const client = clientOf(req)
+  const active = running.get(client) ?? 0
+  if (limit && active >= limit) {
+    tooMany(res, `Too many runs in progress (limit ${limit}); wait for one to finish`, 5)
+    return
+  }
+  running.set(client, active + 1)
+  let released = false
+  return () => {
+    if (released) return
+    released = true
+    const left = (running.get(client) ?? 1) - 1
+    if (left > 0) running.set(client, left)
+    else running.delete(client)
+  }
+}
+
+// Forget idle clients so the request log doesn't grow without bound
+setInterval(() => {
+  const cutoff = Date.now() - WINDOW_MS
+  for (const [client, times] of requests) {
+    if (!times.some((t) => t > cutoff)) requests.delete(client)
+  }
+}, WINDOW_MS).unref()
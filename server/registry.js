@@ -0,0 +1,122 @@
+import { readdir } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { simulateAgent } from './simulate.js'
+import { runnerFor, sidecarAgent } from './runners.js'
+import { runPipeline } from './orchestrate.js'
+import { syntheticTrace } from './trace.js'
+import { cacheKey, getCached, putCached } from './cache.js'
+import { userTurns } from './tasks.js'
+import { getProfile, listProfiles } from './profiles.js'
+import { routeFor } from './providers.js'
+
+const adaptersDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'adapters')
+
+// Every .js file in server/adapters/ default-exports one framework profile.
+// Dropping a new file in there is all it takes to add a framework. Profiles created
+// from the UI (see profiles.js) are listed after these.
+const loadAdapters = async () => {
+  const files = (await readdir(adaptersDir)).filter((f) => f.endsWith('.js')).sort()
+  const loaded = await Promise.all(files.map((f) => import(pathToFileURL(path.join(adaptersDir, f)).href)))
+  const list = loaded.map((mod, i) => {
+    const adapter = mod.default
+    if (!adapter?.id || !adapter?.name) throw new Error(`Adapter ${files[i]} must export an id and a name`)
+    return adapter
+  })
+  // Optional `order` pins display position; unordered adapters follow alphabetically
+  return list.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id))
+}
+
+const adapters = await loadAdapters()
+const byId = new Map(adapters.map((a) => [a.id, a]))
+
+export const listAdapters = () => [...adapters, ...listProfiles()]
+
+export const getAdapter = (id) => byId.get(id) ?? getProfile(id)
+
+// AGENT_MODE=roleplay runs every profile as a single simulator prompt instead of its pipeline
+const usesPipeline = (adapter) => Boolean(adapter.pipeline) && process.env.AGENT_MODE !== 'roleplay'
+
+// A configured sidecar runner takes precedence (see runners.js). Adapters may also provide
+// their own `run`; profiles with a `pipeline` go through the orchestration engine
+// (see orchestrate.js), and anything else drives the simulator. `task` may be a
+// conversation (see tasks.js); custom `run` hooks get it as is. `repetition` numbers
+// repeated runs of the same combo from 0; only the mock engine needs it, to vary its seed.
+const execute = (adapter, { task, modelId, repetition, faults, onEvent }) => {
+  const runner = runnerFor(adapter.id)
+  if (runner) return sidecarAgent(runner, adapter, { task, modelId, repetition, faults, onEvent })
+  if (adapter.run) return adapter.run({ task, modelId, repetition, faults, onEvent })
+  if (usesPipeline(adapter)) return runPipeline(adapter, { task, modelId, repetition, faults, onEvent })
+  return simulateAgent({
+    task,
+    model: modelId,
+    framework: adapter.name,
+    styles: adapter.traits ?? [],
+    stepsHint: adapter.stepsHint ?? '',
+    systemPrompt: adapter.systemPrompt,
+    repetition,
+    faults,
+    onEvent,
+  })
+}
+
+// Everything besides task, framework and model that shapes a run's output
+// (the name too: the simulator prompt uses it, and custom profiles can be renamed;
+// the route too: MODEL_ROUTES can send the same model id to another provider)
+const generationParams = (adapter, modelId) => ({
+  name: adapter.name,
+  route: routeFor(modelId) ?? undefined,
+  traits: adapter.traits,
+  stepsHint: adapter.stepsHint,
+  systemPrompt: adapter.systemPrompt,
+  runner: runnerFor(adapter.id) ?? undefined,
+  pipeline: usesPipeline(adapter) ? adapter.pipeline : undefined,
+  ...adapter.params,
+})
+
+// LLM calls one run is expected to make, for cost estimates: one per user turn for the
+// simulator, and one per pipeline stage on each user turn (critique loops not counted).
+// Sidecars and custom hooks are estimated as one call.
+export const callsPerRun = (adapter, task = '') => {
+  if (!adapter || runnerFor(adapter.id) || adapter.run) return 1
+  return (usesPipeline(adapter) ? adapter.pipeline.stages.length : 1) * userTurns(task).length
+}
+
+// Custom `run` hooks don't have to trace: their steps are spread evenly over the run instead
+const untimedTrace = (adapter, run, startedAt, durationMs) => syntheticTrace({
+  name: `${adapter.name} run`,
+  agent: adapter.name,
+  stages: (run.steps ?? []).map((name) => ({ name })),
+  durationMs,
+  usage: run.usage,
+  cost: run.cost,
+  startedAt,
+})
+
+// `onEvent` is optional and receives step/token events while the run streams;
+// `faults` carries mock fault injection settings. Results are served from the cache
+// unless `noCache` is set or faults are being injected; cache hits don't stream.
+// Only live results are cached: a fallback would replay a transient upstream failure, and
+// a mock result would keep being served after a provider key is configured.
+// Repetitions after the first are extra samples of the same key and bypass the cache.
+export const runAdapter = async (adapter, { task, modelId, repetition = 0, faults = {}, onEvent, noCache }) => {
+  const key = cacheKey({ task, frameworkId: adapter.id, modelId, params: generationParams(adapter, modelId) })
+  const useCache = !Object.keys(faults).length && !repetition
+  if (useCache && !noCache) {
+    const hit = getCached(key)
+    if (hit) return hit
+  }
+  const startedAt = new Date().toISOString()
+  const started = performance.now()
+  const run = await execute(adapter, { task, modelId, repetition, faults, onEvent })
+  const result = run.trace ? run : { ...run, trace: untimedTrace(adapter, run, startedAt, performance.now() - started) }
+  if (useCache && (result.source ?? 'live') === 'live') putCached(key, result)
+  return result
+}
+
+// Public shape served to the UI: everything except server-side hooks like `run`.
+// `sidecar` says whether runs go through a real framework runner; its command stays private.
+export const describeAdapter = (adapter) => ({
+  ...Object.fromEntries(Object.entries(adapter).filter(([, value]) => typeof value !== 'function')),
+  sidecar: Boolean(runnerFor(adapter.id)),
+})
@@ -0,0 +1,99 @@
+import { leaderOf, mean, summarize as describe } from './stats.js'
+
+// Aggregates a comparison (live job or stored record) into a benchmark report:
+// mean/median per metric per combo, per-task winners and per-tag breakdowns.
+// With repeated runs, `stats` adds spread and confidence intervals per metric, and
+// `leaders` only names a winner that is significantly ahead (see stats.js).
+// Like the UI's badges, wins and leaders only count live runs unless `includeNonLive` is set.
+
+const metricKeys = ['quality', 'coverage', 'safety', 'latency', 'tokens', 'cost']
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+
+const median = (values) => {
+  if (!values.length) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+const comboId = (cell) => `${cell.frameworkId}-${cell.modelId}`
+
+// Records from before provenance tracking have no `source`; they count as live
+export const isLive = (cell) => (cell.source ?? 'live') === 'live'
+
+const summarize = (cells, stat) =>
+  Object.fromEntries(metricKeys.map((key) => [key, round(stat(cells.map((c) => c.metrics[key])), 4)]))
+
+// Spread of each metric over a combo's runs: { n, mean, std, p50, p95, ci }
+const spreadOf = (cells) =>
+  Object.fromEntries(metricKeys.map((key) => {
+    const { n, mean: average, std, p50, p95, ci } = describe(cells.map((c) => c.metrics[key]))
+    return [key, { n, mean: round(average, 4), std: round(std, 4), p50: round(p50, 4), p95: round(p95, 4), ci: ci && ci.map((v) => round(v, 4)) }]
+  }))
+
+// Badge metrics and which direction wins
+const leaderMetrics = { fastest: ['latency', 'lower'], cheapest: ['cost', 'lower'], highestQuality: ['quality', 'higher'] }
+
+const groupByCombo = (cells) => {
+  const groups = new Map()
+  for (const cell of cells) {
+    const id = comboId(cell)
+    if (!groups.has(id)) groups.set(id, { id, frameworkId: cell.frameworkId, modelId: cell.modelId, cells: [] })
+    groups.get(id).cells.push(cell)
+  }
+  return [...groups.values()]
+}
+
+export const buildReport = (comparison, { includeNonLive = false } = {}) => {
+  const tasks = comparison.tasks ?? [{ task: comparison.task, tags: [] }]
+  const taskOf = (cell) => cell.taskIndex ?? 0
+  const finished = (cells) => cells.filter((c) => c.status === 'done' && c.metrics)
+  const competing = finished(comparison.cells).filter((c) => includeNonLive || isLive(c))
+
+  const combos = groupByCombo(comparison.cells).map(({ cells, ...combo }) => {
+    const done = finished(cells)
+    return {
+      ...combo,
+      runs: cells.length,
+      errors: cells.filter((c) => c.status === 'error').length,
+      skipped: cells.filter((c) => c.status === 'skipped').length,
+      mean: summarize(done, mean),
+      median: summarize(done, median),
+      stats: spreadOf(done),
+      wins: 0,
+    }
+  })
+
+  // A task's winner is the highest quality (mean over repetitions); ties credit every tied combo
+  const taskWinners = tasks.map((item, taskIndex) => {
+    const done = groupByCombo(competing.filter((c) => taskOf(c) === taskIndex))
+      .map((combo) => ({ id: combo.id, quality: round(mean(combo.cells.map((c) => c.metrics.quality)), 4) }))
+    const best = Math.max(...done.map((c) => c.quality))
+    const winners = done.filter((c) => c.quality === best).map((c) => c.id)
+    for (const combo of combos) if (winners.includes(combo.id)) combo.wins += 1
+    return { taskIndex, task: item.task, tags: item.tags ?? [], winners, quality: done.length ? best : null }
+  })
+
+  const tagNames = [...new Set(tasks.flatMap((t) => t.tags ?? []))]
+  const tags = tagNames.map((tag) => {
+    const indexes = tasks.flatMap((t, i) => ((t.tags ?? []).includes(tag) ? [i] : []))
+    const cells = comparison.cells.filter((c) => indexes.includes(taskOf(c)))
+    return {
+      tag,
+      tasks: indexes.length,
+      combos: groupByCombo(finished(cells)).map(({ cells: comboCells, ...combo }) => ({
+        ...combo,
+        mean: summarize(comboCells, mean),
+      })),
+    }
+  })
+
+  const samples = groupByCombo(competing)
+  const leaders = Object.fromEntries(Object.entries(leaderMetrics).map(([name, [key, better]]) => [
+    name,
+    leaderOf(samples.map((combo) => ({ id: combo.id, values: combo.cells.map((c) => c.metrics[key]) })), better),
+  ]))
+
+  return { tasks: tasks.length, repetitions: comparison.repetitions ?? 1, combos, taskWinners, tags, leaders }
+}
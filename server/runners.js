@@ -0,0 +1,236 @@
+import { spawn } from 'node:child_process'
+import { readFileSync } from 'node:fs'
+import path from 'node:path'
+import readline from 'node:readline'
+import { randomUUID } from 'node:crypto'
+import { costOf } from './pricing.js'
+import { mockAgent } from './mock.js'
+import { routeFor } from './providers.js'
+import { createTracer, withFailure } from './trace.js'
+import { isConversation, taskText } from './tasks.js'
+
+// Sidecar runners: a framework can be served by a local process running the real
+// framework code instead of the simulator. The protocol is JSON lines over stdio,
+// version 1 (documented in the README under "Sidecar runners"):
+//
+// - the server spawns the runner once per run and writes one request line to its stdin:
+//   { protocol: 1, type: 'run', id, framework, task, model: { id, provider, name }, conversation? }
+//   `task` is always a string; a multi-turn task is flattened into it and also passed
+//   as `conversation: { system?, turns }` for runners that can play it turn by turn.
+// - the runner answers with one JSON event per stdout line:
+//   { type: 'step', text }
+//   { type: 'token', text }
+//   { type: 'tool_call', name, input?, output?, durationMs?, agent? }
+//   { type: 'usage', promptTokens, completionTokens, cachedTokens?, agent?, name? }   (one per LLM call, added up)
+//   { type: 'handoff', from, to }
+//   { type: 'log', message }
+//   { type: 'result', output, source? }                              (required, last)
+//   { type: 'error', message }
+// - stderr is passed through to the server log; stdout lines that aren't JSON are ignored.
+//
+// RUNNERS_FILE points at a JSON file mapping framework ids to
+// { command, args?, cwd?, env?, timeoutMs? }; relative cwds resolve against the file.
+
+export const PROTOCOL_VERSION = 1
+
+const loadRunners = () => {
+  if (!process.env.RUNNERS_FILE) return {}
+  const file = path.resolve(process.env.RUNNERS_FILE)
+  const config = JSON.parse(readFileSync(file, 'utf8'))
+  for (const runner of Object.values(config)) {
+    runner.cwd = path.resolve(path.dirname(file), runner.cwd ?? '.')
+  }
+  return config
+}
+
+const runners = loadRunners()
+
+export const runnerFor = (frameworkId) => runners[frameworkId] ?? null
+
+const defaultTimeout = () => Number(process.env.RUNNER_TIMEOUT_MS) || 120_000
+
+// How long a timed-out runner gets to exit after SIGTERM before it is sent SIGKILL
+const KILL_GRACE_MS = 5000
+
+// category is 'runner' (the process failed or broke the protocol) or 'timeout'
+export class RunnerError extends Error {
+  constructor(message, { category = 'runner', status = null } = {}) {
+    super(message)
+    this.name = 'RunnerError'
+    this.category = category
+    this.status = status
+  }
+}
+
+// Spawns `runner`, sends the request and folds its events into a run result.
+// `onEvent` gets the same step/token events as the simulator, plus { type: 'tool', call }.
+// The trace gets an LLM span per usage event, running from the previous LLM call's end,
+// a tool span per tool call ending when it was reported, and a handoff span per handoff.
+const runSidecar = (runner, request, { name, onEvent }) => new Promise((resolve, reject) => {
+  const tracer = createTracer({ name: `${name} run`, agent: name })
+  let llmCalls = 0
+  let lastCallEnd = 0
+  const child = spawn(runner.command, runner.args ?? [], {
+    cwd: runner.cwd,
+    env: { ...process.env, ...runner.env },
+    stdio: ['pipe', 'pipe', 'pipe'],
+  })
+  const steps = []
+  const toolCalls = []
+  const usage = { promptTokens: 0, completionTokens: 0, cachedTokens: 0 }
+  let streamed = ''
+  let result = null
+  let failure = null
+
+  // A timed-out run fails at once rather than waiting for 'close', which a runner that traps
+  // or ignores SIGTERM never sends; whatever it prints after that is ignored
+  let timedOut = false
+  let killTimer
+  const timer = setTimeout(() => {
+    timedOut = true
+    child.kill()
+    killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS)
+    reject(new RunnerError(`Runner timed out after ${runner.timeoutMs ?? defaultTimeout()}ms`, { category: 'timeout' }))
+  }, runner.timeoutMs ?? defaultTimeout())
+
+  const handle = (event) => {
+    switch (event.type) {
+      case 'step':
+        steps.push(String(event.text))
+        tracer.event(tracer.root, String(event.text), 'step')
+        onEvent?.({ type: 'step', step: String(event.text) })
+        break
+      case 'token':
+        streamed += event.text
+        onEvent?.({ type: 'token', text: String(event.text) })
+        break
+      case 'tool_call': {
+        const call = { name: String(event.name), input: event.input, output: event.output, durationMs: event.durationMs }
+        toolCalls.push(call)
+        const span = tracer.start({
+          name: call.name,
+          agent: event.agent ?? name,
+          type: 'tool',
+          startMs: Math.max(0, tracer.now() - (Number(call.durationMs) || 0)),
+        })
+        tracer.end(span)
+        onEvent?.({ type: 'tool', call })
+        break
+      }
+      case 'usage': {
+        const callUsage = {
+          promptTokens: Number(event.promptTokens) || 0,
+          completionTokens: Number(event.completionTokens) || 0,
+          cachedTokens: Number(event.cachedTokens) || 0,
+        }
+        for (const key of Object.keys(usage)) usage[key] += callUsage[key]
+        llmCalls += 1
+        const span = tracer.start({
+          name: event.name ?? `LLM call ${llmCalls}`,
+          agent: event.agent ?? name,
+          type: 'llm',
+          startMs: lastCallEnd,
+        })
+        tracer.end(span, {
+          tokens: callUsage.promptTokens + callUsage.completionTokens,
+          usage: callUsage,
+          cost: costOf(request.model.id, callUsage),
+        })
+        lastCallEnd = span.endMs
+        break
+      }
+      case 'handoff':
+        tracer.end(tracer.start({ name: `${event.from} → ${event.to}`, agent: String(event.from), type: 'handoff' }))
+        break
+      case 'log':
+        tracer.event(tracer.root, String(event.message), 'log')
+        break
+      case 'result':
+        result = event
+        break
+      case 'error':
+        failure = new RunnerError(String(event.message || 'Runner reported an error'))
+        break
+    }
+  }
+
+  readline.createInterface({ input: child.stdout }).on('line', (line) => {
+    if (timedOut || !line.trim()) return
+    let event
+    try {
+      event = JSON.parse(line)
+    } catch {
+      console.warn(`[runner ${request.framework}] ignoring non-JSON line:`, line.slice(0, 200))
+      return
+    }
+    handle(event)
+  })
+  child.stderr.on('data', (chunk) => process.stderr.write(`[runner ${request.framework}] ${chunk}`))
+
+  child.on('error', (err) => {
+    clearTimeout(timer)
+    reject(new RunnerError(`Could not start runner: ${err.message}`))
+  })
+  child.on('close', (code) => {
+    clearTimeout(timer)
+    clearTimeout(killTimer)
+    if (timedOut) return
+    if (failure) return reject(failure)
+    if (!result) return reject(new RunnerError(`Runner exited with code ${code} without a result`, { status: code }))
+    const tokens = usage.promptTokens + usage.completionTokens
+    const cost = costOf(request.model.id, usage)
+    resolve({
+      output: result.output ?? streamed,
+      tokens,
+      cost,
+      usage,
+      steps,
+      toolCalls,
+      trace: tracer.finish({ tokens, usage, cost }),
+      source: result.source ?? 'live',
+    })
+  })
+
+  // A runner that exits before reading its request is reported by 'close'
+  child.stdin.on('error', () => {})
+  child.stdin.end(JSON.stringify(request) + '\n')
+})
+
+// Runs `adapter` through its sidecar. A failing runner falls back to the mock engine,
+// recorded like a failed live call (source 'fallback', category 'runner' or 'timeout').
+export const sidecarAgent = async (runner, adapter, { task, modelId, repetition, faults, onEvent }) => {
+  const route = routeFor(modelId)
+  const request = {
+    protocol: PROTOCOL_VERSION,
+    type: 'run',
+    id: randomUUID(),
+    framework: adapter.id,
+    task: taskText(task),
+    model: { id: modelId, provider: route?.provider ?? null, name: route?.model ?? modelId },
+    ...(isConversation(task) && { conversation: task }),
+  }
+  let streamed = false
+  const forward = onEvent && ((event) => {
+    if (event.type === 'token') streamed = true
+    onEvent(event)
+  })
+  try {
+    return await runSidecar(runner, request, { name: adapter.name, onEvent: forward })
+  } catch (err) {
+    console.error(`Runner for ${adapter.id} failed:`, err.message)
+    // The mock answer replaces whatever the runner had streamed
+    if (streamed) onEvent({ type: 'token', text: '', restart: true })
+    const mock = await mockAgent({
+      task,
+      model: modelId,
+      framework: adapter.name,
+      styles: adapter.traits ?? [],
+      stepsHint: adapter.stepsHint ?? '',
+      repetition,
+      faults,
+      onEvent,
+    })
+    const reason = { category: err.category ?? 'runner', status: err.status ?? null, message: err.message }
+    return { ...mock, trace: withFailure(mock.trace, reason), source: 'fallback', fallback: reason }
+  }
+}
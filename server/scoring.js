@@ -0,0 +1,94 @@
+// Deterministic, offline scorers. They only look at the task and the output,
+// so every run (live or mock) gets comparable numbers without an LLM judge.
+
+const stopwords = new Set(`
+  about above after again against also because been before being below between both could does doing down during each
+  every from further have having here into itself just more most much must only other over same should some such than
+  that their them then there these they this those through under until very want were what when where which while will
+  with within would your yours using make give tell need like into across the and for are but not you all can her was
+  one our out has how its may new now see two way who did get use
+`.trim().split(/\s+/))
+
+const planCues = /\b(plan|steps?|roadmap|outline|checklist|list|how to|phases?|milestones?|strategy)\b/i
+const briefCues = /\b(brief|short|concise|summary|summari[sz]e|tl;?dr|one[- ]liner)\b/i
+const longCues = /\b(detailed|in[- ]depth|comprehensive|thorough|explain|design|guide)\b/i
+
+// The answer only; simulated logs are appended after this marker
+export const answerOf = (output) => output.split('\n\n---\nLOGS:\n')[0]
+
+const tokenize = (text) => text.toLowerCase().match(/[a-z0-9][a-z0-9-]*/g) ?? []
+
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, '')
+
+// Key terms are content words; entities are capitalised words, acronyms and numbers
+export const extractKeyTerms = (task) => {
+  const terms = tokenize(task).filter((w) => w.length >= 4 && !stopwords.has(w))
+  const entities = (task.match(/\b([A-Z][a-zA-Z0-9]+|[A-Z]{2,}|\d+(?:\.\d+)?%?)\b/g) ?? [])
+    .map((e) => e.toLowerCase())
+    .filter((e) => !stopwords.has(e))
+  return [...new Set([...terms, ...entities])]
+}
+
+const countSyllables = (word) => {
+  const groups = word.toLowerCase().replace(/e$/, '').match(/[aeiouy]+/g)
+  return Math.max(1, groups ? groups.length : 1)
+}
+
+// Flesch-Kincaid grade level
+export const readabilityGrade = (text) => {
+  const sentences = Math.max(1, (text.match(/[.!?]+(\s|$)|\n+/g) ?? []).length)
+  const wordList = text.match(/[A-Za-z]+/g) ?? []
+  if (!wordList.length) return 0
+  const syllables = wordList.reduce((sum, w) => sum + countSyllables(w), 0)
+  const grade = 0.39 * (wordList.length / sentences) + 11.8 * (syllables / wordList.length) - 15.59
+  return Math.round(Math.max(0, grade) * 10) / 10
+}
+
+const targetWords = (task) => {
+  if (briefCues.test(task)) return [40, 150]
+  if (longCues.test(task) || planCues.test(task)) return [150, 450]
+  return [80, 350]
+}
+
+const lengthScore = (count, [min, max]) => {
+  if (count >= min && count <= max) return 100
+  const distance = count < min ? (min - count) / min : (count - max) / max
+  return Math.round(Math.max(0, 100 - distance * 100))
+}
+
+const termOverlap = (terms, stems) => (terms.length ? terms.filter((t) => stems.has(stem(t))).length / terms.length : 1)
+
+export const analyzeOutput = (task, output, reference) => {
+  const answer = answerOf(output ?? '')
+  const keyTerms = extractKeyTerms(task)
+  const answerStems = new Set(tokenize(answer).map(stem))
+  const matched = keyTerms.filter((t) => answerStems.has(stem(t)))
+  const missing = keyTerms.filter((t) => !matched.includes(t))
+
+  const wordCount = (answer.match(/\S+/g) ?? []).length
+  const target = targetWords(task)
+  const listItems = (answer.match(/^\s*(\d+[.)]|[-*•])\s+/gm) ?? []).length
+  const structureExpected = planCues.test(task)
+
+  return {
+    coverage: keyTerms.length ? Math.round((matched.length / keyTerms.length) * 100) : 100,
+    keyTerms: keyTerms.length,
+    missingTerms: missing.slice(0, 8),
+    wordCount,
+    targetWords: target,
+    lengthScore: lengthScore(wordCount, target),
+    readabilityGrade: readabilityGrade(answer),
+    structureExpected,
+    listItems,
+    // A plan without a list is penalised; unprompted lists are neither good nor bad
+    structureScore: structureExpected ? Math.min(100, listItems * 25) : 100,
+    // Share of the reference answer's key terms the output also uses
+    ...(reference && { referenceOverlap: Math.round(termOverlap(extractKeyTerms(reference), answerStems) * 100) }),
+  }
+}
+
+// Fills `coverage` from the heuristics and attaches the full breakdown as `analysis`
+export const withHeuristics = (task, result, reference) => {
+  const analysis = analyzeOutput(task, result.output, reference)
+  return { ...result, coverage: analysis.coverage, analysis }
+}
@@ -0,0 +1,110 @@
+import { costOf } from './pricing.js'
+import { mockAgent } from './mock.js'
+import { complete, isLive, parseJSONReply, routeFor } from './providers.js'
+import { failureOf, runRetryStats } from './upstream.js'
+import { createTracer, withFailure } from './trace.js'
+import { systemOf, userTurns } from './tasks.js'
+
+// Generic simulator: the selected model "roleplays" the agent framework, called through
+// the provider its route names (see providers.js). Without that provider configured, the mock engine answers.
+// Pass `onEvent` to stream: it receives { type: 'step', step } and { type: 'token', text } as they arrive.
+// `faults` only affects the mock engine (see mock.js).
+// Every result says where it came from: `source` is 'live', 'mock' (provider not configured)
+// or 'fallback' (the live call failed), with `fallback: { category, status, message }` saying why.
+// `upstream: { retries, waitMs }` reports the retrying done by upstream.js, over every turn's call.
+// A conversation task (see tasks.js) is played turn by turn: the answer is the last reply,
+// and live results list every reply in `turns: [{ user, output }]`.
+// A custom profile's `systemPrompt` replaces the simulator persona; the output format stays.
+export async function simulateAgent({ task, model, framework, styles, stepsHint, systemPrompt: persona, repetition, faults, onEvent }) {
+  const mock = () => mockAgent({ task, model, framework, styles, stepsHint, repetition, faults, onEvent })
+  const stats = runRetryStats()
+  const fallback = async (reason) => {
+    const result = await mock()
+    return { ...result, trace: withFailure(result.trace, reason), source: 'fallback', fallback: reason, upstream: stats.total() }
+  }
+
+  const route = routeFor(model)
+  if (!isLive(model)) {
+    return { ...(await mock()), source: 'mock' }
+  }
+
+  // Real run: the selected model itself roleplays the framework, one LLM call per user turn.
+  // The steps and logs it reports become events on that call's span.
+  const turns = userTurns(task)
+  const multiTurn = turns.length > 1
+  const tracer = createTracer({ name: `${framework} run`, agent: framework })
+  try {
+    const systemPrompt = `
+    ${persona ?? `You are a simulator for a multi-agent framework called "${framework}".
+    Your goal is to run the user's task as if you were that framework, using the persona and logging style of that framework.`}
+    
+    Framework Traits: ${styles.join(', ')}.
+    Typical Process: ${stepsHint}.
+    ${systemOf(task) ? `\n    The user set up this conversation with the following instructions:\n    ${systemOf(task)}\n` : ''}
+    Output Format:
+    Return a JSON object (and ONLY JSON) with:
+    {
+      "steps": ["List of 4-6 short descriptions of what the agents did internally"],
+      "output": "The final textual answer to the user's task.",
+      "logs": "A short simulated log stream showing agent chatter or graph execution."
+    }
+    ${multiTurn ? 'The user may follow up; answer every turn in the same JSON format, building on your earlier answers.' : ''}
+    `
+
+    // Earlier turns go back in as the conversation so far, replies in the model's own JSON
+    const messages = []
+    const replies = []
+    const steps = []
+    const usage = { promptTokens: 0, completionTokens: 0, cachedTokens: 0 }
+    for (const [i, turn] of turns.entries()) {
+      const label = (step) => (multiTurn ? `Turn ${i + 1}: ${step}` : step)
+      const call = tracer.start({ name: multiTurn ? `turn ${i + 1}` : `${route.model} roleplay`, agent: framework, type: 'llm' })
+      messages.push({ role: 'user', content: i === 0 ? `Task: ${turn}` : turn })
+      const reply = await complete({
+        ...route,
+        system: systemPrompt,
+        messages,
+        json: true,
+        ...(onEvent && {
+          onStep: (step) => {
+            tracer.event(call, step, 'step')
+            onEvent({ type: 'step', step: label(step) })
+          },
+          // Only the last turn's reply is the run's answer
+          ...(i === turns.length - 1 && { onToken: (text) => onEvent({ type: 'token', text }) }),
+        }),
+        stats: stats.forCall(),
+      })
+      messages.push({ role: 'assistant', content: reply.content })
+      const result = parseJSONReply(reply.content)
+      const turnSteps = result.steps ?? []
+      const cost = costOf(model, reply.usage)
+
+      if (!onEvent) turnSteps.forEach((step) => tracer.event(call, step, 'step'))
+      String(result.logs ?? '').split('\n').filter(Boolean).forEach((line) => tracer.event(call, line, 'log'))
+      tracer.end(call, { tokens: reply.usage.promptTokens + reply.usage.completionTokens, usage: reply.usage, cost })
+      steps.push(...turnSteps.map(label))
+      for (const key of Object.keys(usage)) usage[key] += reply.usage[key]
+      replies.push({ user: turn, output: result.output ?? '' })
+    }
+
+    const tokens = usage.promptTokens + usage.completionTokens
+    const cost = costOf(model, usage)
+    return {
+      output: replies.at(-1).output,
+      ...(multiTurn && { turns: replies }),
+      tokens,
+      cost,
+      usage,
+      steps,
+      trace: tracer.finish({ tokens, usage, cost }),
+      source: 'live',
+      upstream: stats.total(),
+    }
+
+  } catch (err) {
+    console.error('Simulation failed:', err)
+    // Fall back to mock, but record why
+    return fallback(failureOf(err))
+  }
+}
@@ -0,0 +1,20 @@
+// Turns an Express response into a Server-Sent Events stream.
+// Returns `send(event, data)`, which becomes a no-op once the client disconnects.
+export const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  })
+  res.flushHeaders()
+
+  let closed = false
+  res.on('close', () => { closed = true })
+
+  const send = (event, data) => {
+    if (closed) return
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  return { send }
+}
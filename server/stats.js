@@ -0,0 +1,78 @@
+// Sample statistics for repeated runs: per-metric summaries with 95% confidence
+// intervals, and Welch's t-test to tell whether one combo really beats another.
+// The UI imports this module too, for its badges and spreads, so it stays free of Node APIs.
+
+// Two-sided 95% critical values of Student's t for 1-30 degrees of freedom
+const tTable = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+  2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+]
+
+// Welch's degrees of freedom are fractional, so neighbouring rows are interpolated;
+// past 30 the value closes in on 1.96 roughly as 1/df
+export const tCritical = (df) => {
+  if (!(df >= 1)) return Infinity
+  if (df >= 30) return 1.96 + ((tTable[29] - 1.96) * 30) / df
+  const low = Math.floor(df)
+  return tTable[low - 1] + (tTable[low] - tTable[low - 1]) * (df - low)
+}
+
+export const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0)
+
+// Sample variance (n - 1); zero for fewer than two samples
+const variance = (values) => {
+  if (values.length < 2) return 0
+  const m = mean(values)
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1)
+}
+
+export const stdDev = (values) => Math.sqrt(variance(values))
+
+// Linear interpolation between closest ranks; `p` is 0-100
+export const percentile = (values, p) => {
+  if (!values.length) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const rank = ((sorted.length - 1) * p) / 100
+  const low = Math.floor(rank)
+  return sorted[low] + (sorted[Math.min(low + 1, sorted.length - 1)] - sorted[low]) * (rank - low)
+}
+
+// { n, mean, std, p50, p95, ci: [low, high] } for one metric's samples.
+// The 95% confidence interval of the mean needs two samples; with one it is null.
+export const summarize = (values) => {
+  const m = mean(values)
+  const margin = values.length > 1 ? (tCritical(values.length - 1) * stdDev(values)) / Math.sqrt(values.length) : null
+  return {
+    n: values.length,
+    mean: m,
+    std: stdDev(values),
+    p50: percentile(values, 50),
+    p95: percentile(values, 95),
+    ci: margin === null ? null : [m - margin, m + margin],
+  }
+}
+
+// Whether two samples have different means at the 95% level (Welch's t-test).
+// Needs two samples a side; samples without any spread differ as soon as their means do.
+export const differs = (a, b) => {
+  if (a.length < 2 || b.length < 2) return false
+  const va = variance(a) / a.length
+  const vb = variance(b) / b.length
+  const gap = Math.abs(mean(a) - mean(b))
+  if (va + vb === 0) return gap > 0
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1))
+  return gap / Math.sqrt(va + vb) > tCritical(df)
+}
+
+// Leader among groups of samples ({ id, values }) where `better` is 'lower' or 'higher'.
+// `winner` is the leader's id only when it differs significantly from every other group;
+// otherwise it is null and `tied` lists the groups it can't be told apart from, leader first.
+export const leaderOf = (groups, better) => {
+  const candidates = groups.filter((group) => group.values.length)
+  if (!candidates.length) return null
+  const sign = better === 'lower' ? 1 : -1
+  const [lead, ...rest] = [...candidates].sort((a, b) => sign * (mean(a.values) - mean(b.values)))
+  const tied = [lead, ...rest.filter((group) => !differs(lead.values, group.values))].map((group) => group.id)
+  return { leader: lead.id, winner: tied.length === 1 ? lead.id : null, tied }
+}
@@ -0,0 +1,87 @@
+// Helpers for reading a `stream: true` chat completion whose content is the
+// simulator's JSON object, surfacing steps and output text before it is complete.
+// Plain-text replies (pipeline stages) stream as they are.
+
+const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }
+
+// Decodes the (possibly unterminated) string value of `field` in partial JSON
+export const partialString = (json, field) => {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(json)
+  if (!match) return ''
+  let out = ''
+  for (let i = match.index + match[0].length; i < json.length; i += 1) {
+    const ch = json[i]
+    if (ch === '"') break
+    if (ch !== '\\') {
+      out += ch
+      continue
+    }
+    const next = json[i + 1]
+    if (next === undefined) break
+    if (next === 'u') {
+      const hex = json.slice(i + 2, i + 6)
+      if (hex.length < 4) break
+      out += String.fromCharCode(parseInt(hex, 16))
+      i += 5
+    } else {
+      out += escapes[next] ?? next
+      i += 1
+    }
+  }
+  return out
+}
+
+// Every fully received string in the `field` array of partial JSON
+export const partialStringArray = (json, field) => {
+  const match = new RegExp(`"${field}"\\s*:\\s*\\[`).exec(json)
+  if (!match) return []
+  const rest = json.slice(match.index + match[0].length)
+  const literal = /\s*,?\s*("(?:[^"\\]|\\.)*")/y
+  const items = []
+  let m
+  while ((m = literal.exec(rest))) items.push(JSON.parse(m[1]))
+  return items
+}
+
+// Reads an OpenAI SSE body, calling onStep/onToken as steps and output text arrive.
+// Without `json`, every piece of content is output text. Resolves with the full
+// message content and the usage block (if the API sent one).
+export const readCompletionStream = async (body, { json = true, onStep, onToken }) => {
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let content = ''
+  let usage = null
+  let stepsSent = 0
+  let outputSent = 0
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return
+    const payload = line.slice(5).trim()
+    if (!payload || payload === '[DONE]') return
+    const chunk = JSON.parse(payload)
+    if (chunk.usage) usage = chunk.usage
+    const delta = chunk.choices?.[0]?.delta?.content
+    if (!delta) return
+    content += delta
+    if (!json) return onToken(delta)
+
+    const steps = partialStringArray(content, 'steps')
+    for (; stepsSent < steps.length; stepsSent += 1) onStep(steps[stepsSent])
+
+    const output = partialString(content, 'output')
+    if (output.length > outputSent) {
+      onToken(output.slice(outputSent))
+      outputSent = output.length
+    }
+  }
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    lines.forEach(handleLine)
+  }
+  handleLine(buffer)
+
+  return { content, usage }
+}
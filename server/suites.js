@@ -0,0 +1,67 @@
+import { readdir, readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const defaultDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'suites')
+const suitesDir = () => process.env.SUITES_DIR || defaultDir
+
+// "climate-bench.jsonl" -> "Climate Bench"
+const nameFrom = (id) => id.split(/[-_]/).map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(' ')
+
+const suiteIds = async () => {
+  try {
+    const files = await readdir(suitesDir())
+    return files.filter((f) => f.endsWith('.jsonl')).map((f) => f.slice(0, -'.jsonl'.length)).sort()
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    throw err
+  }
+}
+
+// One benchmark item per line: { task, reference?, tags?, rubric? }
+const parseSuite = (id, text) =>
+  text.split('\n').flatMap((line, i) => {
+    if (!line.trim()) return []
+    let item
+    try {
+      item = JSON.parse(line)
+    } catch {
+      throw new Error(`Suite ${id}, line ${i + 1}: invalid JSON`)
+    }
+    if (typeof item.task !== 'string' || !item.task.trim()) {
+      throw new Error(`Suite ${id}, line ${i + 1}: "task" must be a non-empty string`)
+    }
+    return [{
+      task: item.task,
+      reference: item.reference,
+      tags: Array.isArray(item.tags) ? item.tags : [],
+      rubric: item.rubric,
+    }]
+  })
+
+// Files are re-read on every call so edited suites are picked up without a restart
+export const getSuite = async (id) => {
+  if (!(await suiteIds()).includes(id)) return null
+  const text = await readFile(path.join(suitesDir(), `${id}.jsonl`), 'utf8')
+  return { id, name: nameFrom(id), tasks: parseSuite(id, text) }
+}
+
+// A suite that doesn't parse is left out with a warning, so the others still list
+const loadListed = async (id) => {
+  try {
+    return await getSuite(id)
+  } catch (err) {
+    console.warn(`Skipping suite ${id}:`, err.message)
+    return null
+  }
+}
+
+export const listSuites = async () => {
+  const suites = (await Promise.all((await suiteIds()).map(loadListed))).filter(Boolean)
+  return suites.map(({ id, name, tasks }) => ({
+    id,
+    name,
+    tasks: tasks.length,
+    tags: [...new Set(tasks.flatMap((t) => t.tags))],
+  }))
+}
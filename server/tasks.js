@@ -0,0 +1,58 @@
+// A task is either a single user message (a string) or a conversation:
+//
+//   { system?: string, turns: [string] }   (user turns, answered one after another)
+//
+// Either kind may contain {{variables}}, filled in from a row of values when a template
+// is expanded. The judge, caching, estimates and the mock engine work on `taskText`, the
+// conversation flattened into one prompt; key terms come from `taskContent`, the same text
+// without the labels. The roleplay simulator and pipelines play it turn by turn.
+
+export const isConversation = (task) => typeof task === 'object' && task !== null && Array.isArray(task.turns)
+
+export const userTurns = (task) => (isConversation(task) ? task.turns : [task])
+
+export const systemOf = (task) => (isConversation(task) ? task.system ?? '' : '')
+
+// The whole task as one prompt; a plain string task is returned unchanged
+export const taskText = (task) => {
+  if (!isConversation(task)) return task ?? ''
+  const turns = task.turns.map((turn, i) => (task.turns.length > 1 ? `User (turn ${i + 1}): ${turn}` : turn))
+  return [task.system && `System: ${task.system}`, ...turns].filter(Boolean).join('\n\n')
+}
+
+const textsOf = (task) => [systemOf(task), ...userTurns(task)]
+
+// What the task says, without taskText's "System:" and "User (turn N):" labels
+export const taskContent = (task) => textsOf(task).filter(Boolean).join('\n\n')
+
+const variablePattern = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g
+
+// Variable names in order of first use
+export const variablesOf = (task) => [
+  ...new Set(textsOf(task).flatMap((text) => [...String(text).matchAll(variablePattern)].map((m) => m[1]))),
+]
+
+const fill = (text, values) => text.replace(variablePattern, (match, name) => values[name] ?? match)
+
+export const fillTask = (task, values) =>
+  isConversation(task)
+    ? { ...(task.system && { system: fill(task.system, values) }), turns: task.turns.map((turn) => fill(turn, values)) }
+    : fill(task, values)
+
+// One comparison item per row of values, labelled with the values it was filled with.
+// Rows missing a variable are reported as problems, in the validate.js shape.
+export const expandTask = (task, rows) => {
+  const names = variablesOf(task)
+  const problems = rows.flatMap((row, i) =>
+    names
+      .filter((name) => typeof row[name] !== 'string' || !row[name].trim())
+      .map((name) => ({ field: `values[${i}].${name}`, message: 'is required by the template' }))
+  )
+  if (problems.length) return { problems }
+  return {
+    items: rows.map((row) => {
+      const values = Object.fromEntries(names.map((name) => [name, row[name]]))
+      return { task: fillTask(task, values), values, label: names.map((name) => `${name}: ${values[name]}`).join(' · '), tags: [] }
+    }),
+  }
+}
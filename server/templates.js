@@ -0,0 +1,92 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { randomUUID } from 'node:crypto'
+import { variablesOf } from './tasks.js'
+
+// Saved prompt templates: { id, name, task, createdAt, updatedAt }, where `task` is a
+// string or a conversation (see tasks.js) that may use {{variables}}.
+// Kept in TEMPLATES_FILE; until the first save, the starter templates below are served.
+const defaultFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'templates.json')
+const templatesFile = process.env.TEMPLATES_FILE || defaultFile
+
+const starterTemplates = [
+  {
+    id: 'climate-web-app',
+    name: 'Climate data web app',
+    task: 'Design a weekend web app that compares climate data using AI agents.',
+  },
+  {
+    id: 'launch-plan',
+    name: 'Launch plan',
+    task: 'Generate a launch plan for a {{audience}} {{product}} MVP with guardrails.',
+  },
+  {
+    id: 'travel-concierge',
+    name: 'Travel concierge prototype',
+    task: {
+      system: 'You are advising a two-person startup with a {{budget}} budget.',
+      turns: [
+        'Map the fastest route to prototype a multimodal travel concierge.',
+        'Which of those steps would you cut to ship in half the time, and what do we lose?',
+      ],
+    },
+  },
+].map((template) => ({ ...template, createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z' }))
+
+const loadTemplates = async () => {
+  try {
+    return JSON.parse(await readFile(templatesFile, 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') return starterTemplates
+    throw err
+  }
+}
+
+const templates = await loadTemplates()
+
+// Same write queue as profiles.js
+let writes = Promise.resolve()
+const persist = () => {
+  const write = writes.then(async () => {
+    await mkdir(path.dirname(templatesFile), { recursive: true })
+    await writeFile(templatesFile, JSON.stringify(templates, null, 2))
+  })
+  writes = write.catch(() => {})
+  return write
+}
+
+// Served with the variables they use, so clients can build a values table
+const describe = (template) => ({ ...template, variables: variablesOf(template.task) })
+
+export const listTemplates = () => templates.map(describe)
+
+export const getTemplate = (id) => {
+  const template = templates.find((t) => t.id === id)
+  return template && describe(template)
+}
+
+export const createTemplate = async ({ name, task }) => {
+  const now = new Date().toISOString()
+  const template = { id: randomUUID(), name, task, createdAt: now, updatedAt: now }
+  templates.push(template)
+  await persist()
+  return describe(template)
+}
+
+// Returns the updated template, or null when there is none with that id
+export const updateTemplate = async (id, { name, task }) => {
+  const template = templates.find((t) => t.id === id)
+  if (!template) return null
+  Object.assign(template, { name, task, updatedAt: new Date().toISOString() })
+  await persist()
+  return describe(template)
+}
+
+export const deleteTemplate = async (id) => {
+  const index = templates.findIndex((t) => t.id === id)
+  if (index === -1) return false
+  templates.splice(index, 1)
+  await persist()
+  return true
+}
@@ -0,0 +1,103 @@
+// Structured execution traces. Every run result carries `trace`:
+//
+//   { version: 1, startedAt, durationMs, spans: [span] }
+//   span: { id, parentId, name, agent, type, startMs, endMs, tokens?, usage?, cost?, events?, error? }
+//
+// `type` is 'run' (the root), 'llm', 'tool', 'handoff' or 'critique'. Times are
+// milliseconds from the start of the run; `events` are { atMs, message, kind? } points
+// inside a span, where `kind` is 'step' for steps the agents reported and 'log' for log lines.
+
+export const TRACE_VERSION = 1
+
+// Records spans as a run happens. `root` is the run span every other span hangs off by default.
+export const createTracer = ({ name, agent }) => {
+  const startedAt = new Date().toISOString()
+  const t0 = performance.now()
+  const spans = []
+  const now = () => Math.round(performance.now() - t0)
+  let root = null
+
+  const start = ({ parentId = root?.id ?? null, startMs = now(), ...fields }) => {
+    const span = { id: `s${spans.length + 1}`, parentId, startMs, endMs: null, ...fields }
+    spans.push(span)
+    return span
+  }
+  const end = (span, fields = {}) => Object.assign(span, { endMs: now() }, fields)
+  const event = (span, message, kind) => {
+    span.events = [...(span.events ?? []), { atMs: now(), message, ...(kind && { kind }) }]
+  }
+
+  root = start({ name, agent, type: 'run', parentId: null })
+
+  // Closes the root and any span left open, e.g. by a failure
+  const finish = (fields = {}) => {
+    const endMs = now()
+    for (const span of spans) span.endMs ??= endMs
+    Object.assign(root, fields)
+    return { version: TRACE_VERSION, startedAt, durationMs: endMs, spans }
+  }
+
+  return { root, now, start, end, event, finish }
+}
+
+const typeHints = [
+  ['critique', /critique|review|grade|check|approve/i],
+  ['tool', /retriev|search|tool|rerank|execut/i],
+  ['handoff', /delegat|handoff|initiat|hand off/i],
+]
+
+// Guesses a span type from a stage label like "Reviewer approves"
+export const spanTypeOf = (label) => typeHints.find(([, pattern]) => pattern.test(label))?.[0] ?? 'llm'
+
+// Builds a trace for a result whose stages weren't timed individually (the mock engine,
+// custom adapters): `stages` ({ name, detail?, weight? }) run back to back over `durationMs`,
+// each taking time, tokens and cost in proportion to its weight (default 1).
+export const syntheticTrace = ({ name, agent, stages, durationMs, usage, cost = 0, startedAt = new Date().toISOString() }) => {
+  const total = stages.reduce((sum, stage) => sum + (stage.weight ?? 1), 0) || 1
+  const tokens = (usage?.promptTokens ?? 0) + (usage?.completionTokens ?? 0)
+  let cursor = 0
+  const spans = [{ id: 's1', parentId: null, name, agent, type: 'run', startMs: 0, endMs: Math.round(durationMs), tokens, usage, cost }]
+  stages.forEach((stage, i) => {
+    const share = (stage.weight ?? 1) / total
+    const startMs = Math.round(cursor)
+    cursor += durationMs * share
+    spans.push({
+      id: `s${i + 2}`,
+      parentId: 's1',
+      name: stage.name,
+      agent,
+      type: spanTypeOf(stage.name),
+      startMs,
+      endMs: Math.round(cursor),
+      tokens: Math.round(tokens * share),
+      cost: cost * share,
+      ...(stage.detail && { events: [{ atMs: Math.round(cursor), message: stage.detail, kind: 'step' }] }),
+    })
+  })
+  return { version: TRACE_VERSION, startedAt, durationMs: Math.round(durationMs), spans }
+}
+
+// Marks a mock result's trace with why the live run failed (see failureOf in upstream.js)
+export const withFailure = (trace, { category, message }) => ({
+  ...trace,
+  spans: trace.spans.map((span) =>
+    span.parentId === null ? { ...span, error: `${category}: ${message}` } : span
+  ),
+})
+
+const depthOf = (spans, span) => {
+  let depth = 0
+  for (let parent = span; parent?.parentId; parent = spans.find((s) => s.id === parent.parentId)) depth += 1
+  return depth
+}
+
+// Plain-text rendering for exports: one line per span, indented by depth, events beneath
+export const traceLines = (trace) =>
+  trace.spans.flatMap((span) => {
+    const indent = '  '.repeat(depthOf(trace.spans, span))
+    const tokens = span.tokens ? ` ${span.tokens} tokens` : ''
+    return [
+      `${indent}[${span.type}] ${span.name}${span.agent && span.agent !== span.name ? ` (${span.agent})` : ''} ${span.startMs}-${span.endMs}ms${tokens}${span.error ? ` error: ${span.error}` : ''}`,
+      ...(span.events ?? []).map((e) => `${indent}  @${e.atMs}ms ${e.kind ? `${e.kind}: ` : ''}${e.message}`),
+    ]
+  }).join('\n')
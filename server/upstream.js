@@ -0,0 +1,190 @@
+import fetch from 'node-fetch'
+
+// Shared layer for calls to model providers: a per-provider timeout on every attempt,
+// exponential backoff on 429/5xx and network failures (honouring Retry-After), and a
+// per-provider circuit breaker that fails fast after repeated failures.
+//
+//   UPSTREAM_TIMEOUT_MS=60000              default per-attempt timeout
+//   UPSTREAM_TIMEOUTS=openai:90000,...     per-provider overrides
+//   UPSTREAM_MAX_RETRIES=2                 retries after the first attempt
+//   UPSTREAM_BACKOFF_MS=500                first backoff; doubles per retry, plus jitter
+//   UPSTREAM_MAX_WAIT_MS=30000             longest single wait; a longer Retry-After gives up
+//   UPSTREAM_BREAKER_THRESHOLD=5           consecutive failures that open the breaker
+//   UPSTREAM_BREAKER_COOLDOWN_MS=30000     how long it stays open before a trial call
+
+const numberFrom = (name, fallback) => {
+  const value = Number(process.env[name])
+  return Number.isFinite(value) && value >= 0 ? value : fallback
+}
+
+// "openai:90000,anthropic:45000" -> { openai: 90000, anthropic: 45000 }
+const parseTimeouts = (spec = '') =>
+  Object.fromEntries(
+    spec.split(',').map((part) => part.trim()).filter(Boolean).map((part) => {
+      const [provider, ms] = part.split(':').map((s) => s.trim())
+      return [provider, Number(ms)]
+    })
+  )
+
+const timeoutFor = (provider) => {
+  const override = parseTimeouts(process.env.UPSTREAM_TIMEOUTS)[provider]
+  return Number.isFinite(override) && override > 0 ? override : numberFrom('UPSTREAM_TIMEOUT_MS', 60000)
+}
+
+export class UpstreamError extends Error {
+  constructor(message, { category, status = null, provider }) {
+    super(message)
+    this.name = 'UpstreamError'
+    this.category = category
+    this.status = status
+    this.provider = provider
+  }
+}
+
+// Why a live run failed, as recorded in a fallback result's `fallback`.
+// A SyntaxError means the model's JSON didn't parse.
+export const failureOf = (err) => {
+  if (err instanceof UpstreamError) return { category: err.category, status: err.status, message: err.message }
+  return { category: err instanceof SyntaxError ? 'parse' : 'unknown', status: null, message: err.message || String(err) }
+}
+
+export const statusCategory = (status, body = '') => {
+  if (status === 401 || status === 403 || body.includes('invalid_api_key')) return 'auth'
+  if (status === 429) return 'rate_limit'
+  if (status >= 500) return 'upstream'
+  return 'request'
+}
+
+const retryable = (category) => ['rate_limit', 'upstream', 'network', 'timeout'].includes(category)
+
+const breakers = new Map()
+const breakerFor = (provider) => {
+  if (!breakers.has(provider)) breakers.set(provider, { failures: 0, openUntil: 0, trial: false })
+  return breakers.get(provider)
+}
+
+// Open breakers reject calls until the cooldown passes; then a single trial call decides
+// whether to close again or reopen. Other calls keep failing fast while it runs.
+const checkBreaker = (provider) => {
+  const breaker = breakerFor(provider)
+  if (breaker.openUntil > Date.now() || breaker.trial) {
+    throw new UpstreamError(`${provider} circuit open after ${breaker.failures} consecutive failures`, {
+      category: 'circuit_open',
+      provider,
+    })
+  }
+  if (breaker.openUntil) breaker.trial = true
+}
+
+// Only transient failures count against a provider; an answer of any kind (even a 401) shows it's up
+const recordOutcome = (provider, ok) => {
+  const breaker = breakerFor(provider)
+  breaker.trial = false
+  if (ok) {
+    breaker.failures = 0
+    breaker.openUntil = 0
+    return
+  }
+  breaker.failures += 1
+  if (breaker.failures >= numberFrom('UPSTREAM_BREAKER_THRESHOLD', 5)) {
+    breaker.openUntil = Date.now() + numberFrom('UPSTREAM_BREAKER_COOLDOWN_MS', 30000)
+    console.warn(`Circuit for ${provider} opened after ${breaker.failures} consecutive failures`)
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+const retryAfterMs = (res) => {
+  const header = res?.headers.get('retry-after')
+  if (!header) return null
+  const seconds = Number(header)
+  if (Number.isFinite(seconds)) return seconds * 1000
+  const date = Date.parse(header)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+const backoffMs = (retry) => numberFrom('UPSTREAM_BACKOFF_MS', 500) * 2 ** retry * (1 + Math.random() * 0.25)
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// One timed attempt. `read(res)` consumes the body inside the same timeout, so a stream
+// that stalls midway is cut off too. Failures before a 2xx response may be retried;
+// once the body is being read, `read` may already have streamed tokens on, so failures
+// (a stall cut off as a timeout included) are marked `afterResponse` and never retried.
+const attempt = async (provider, url, init, read) => {
+  const controller = new AbortController()
+  const timeoutMs = timeoutFor(provider)
+  const timer = setTimeout(() => controller.abort(), timeoutMs)
+  try {
+    let res
+    try {
+      res = await fetch(url, { ...init, signal: controller.signal })
+    } catch (err) {
+      const timedOut = err.name === 'AbortError'
+      throw new UpstreamError(timedOut ? `${provider} timed out after ${timeoutMs}ms` : err.message, {
+        category: timedOut ? 'timeout' : 'network',
+        provider,
+      })
+    }
+    if (!res.ok) {
+      const body = await res.text().catch(() => '')
+      const error = new UpstreamError(`${provider} error ${res.status}: ${body}`, {
+        category: statusCategory(res.status, body),
+        status: res.status,
+        provider,
+      })
+      error.retryAfterMs = retryAfterMs(res)
+      throw error
+    }
+    try {
+      return await read(res)
+    } catch (err) {
+      const error = controller.signal.aborted
+        ? new UpstreamError(`${provider} timed out after ${timeoutMs}ms`, { category: 'timeout', provider })
+        : err
+      error.afterResponse = true
+      throw error
+    }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// Retry stats for a run that makes several calls. UPSTREAM_MAX_RETRIES applies per call,
+// so each call gets its own counter from `forCall()`; `total()` adds them up for the run.
+export const runRetryStats = () => {
+  const calls = []
+  return {
+    forCall: () => {
+      const stats = { retries: 0, waitMs: 0 }
+      calls.push(stats)
+      return stats
+    },
+    total: () => calls.reduce((sum, s) => ({ retries: sum.retries + s.retries, waitMs: sum.waitMs + s.waitMs }), { retries: 0, waitMs: 0 }),
+  }
+}
+
+// Calls `url` and resolves with `read(res)`. `stats` ({ retries, waitMs }) counts this
+// call's retries and is updated as it goes, so callers can report it even when the call
+// finally fails.
+export const upstreamCall = async ({ provider, url, init, read, stats = { retries: 0, waitMs: 0 } }) => {
+  const maxRetries = numberFrom('UPSTREAM_MAX_RETRIES', 2)
+  for (;;) {
+    checkBreaker(provider)
+    try {
+      const value = await attempt(provider, url, init, read)
+      recordOutcome(provider, true)
+      return value
+    } catch (err) {
+      const category = err instanceof UpstreamError ? err.category : null
+      recordOutcome(provider, !retryable(category))
+      if (!retryable(category) || err.afterResponse || stats.retries >= maxRetries) throw err
+
+      const wait = err.retryAfterMs ?? backoffMs(stats.retries)
+      if (wait > numberFrom('UPSTREAM_MAX_WAIT_MS', 30000)) throw err
+      stats.retries += 1
+      stats.waitMs += Math.round(wait)
+      console.warn(`${provider} call failed (${category}); retry ${stats.retries}/${maxRetries} in ${Math.round(wait)}ms`)
+      await sleep(wait)
+    }
+  }
+}
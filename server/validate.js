@@ -0,0 +1,146 @@
+import { getAdapter } from './registry.js'
+import { models } from './models.js'
+import { taskText } from './tasks.js'
+
+// Request body schemas for the API routes. A schema maps field names to checks;
+// a check takes (value, field) and returns a list of problems ({ field, message, value? }).
+// Failures answer 400 { error, fields } where `error` reads well on its own.
+
+export const maxTaskLength = () => Math.max(1, Number(process.env.MAX_TASK_LENGTH) || 8000)
+const MAX_CONCURRENCY = 16
+const MAX_TURNS = 20
+const MAX_VALUE_ROWS = 50
+const MAX_REPETITIONS = 20
+const MAX_TRAITS = 8
+
+const problem = (field, message, value) => [{ field, message, ...(value !== undefined && { value }) }]
+
+const required = (check) => (value, field) =>
+  value === undefined || value === null ? problem(field, 'is required') : check(value, field)
+
+const optional = (check) => (value, field) => (value === undefined || value === null ? [] : check(value, field))
+
+const text = ({ max }) => (value, field) => {
+  if (typeof value !== 'string') return problem(field, 'must be a string')
+  if (!value.trim()) return problem(field, 'must not be empty')
+  if (value.length > max()) return problem(field, `must be at most ${max()} characters (got ${value.length})`)
+  return []
+}
+
+const boolean = (value, field) => (typeof value === 'boolean' ? [] : problem(field, 'must be true or false', value))
+
+const integer = ({ min, max }) => (value, field) =>
+  Number.isInteger(value) && value >= min && value <= max ? [] : problem(field, `must be a whole number from ${min} to ${max}`, value)
+
+const knownFramework = (value, field) =>
+  typeof value === 'string' && getAdapter(value) ? [] : problem(field, `is not a known framework`, value)
+
+const knownModel = (value, field) =>
+  typeof value === 'string' && models.some((m) => m.id === value) ? [] : problem(field, `is not a known model`, value)
+
+const idList = (item) => (value, field) => {
+  if (!Array.isArray(value)) return problem(field, 'must be a list')
+  if (!value.length) return problem(field, 'must not be empty')
+  const seen = new Set()
+  return value.flatMap((entry, i) => {
+    if (seen.has(entry)) return problem(`${field}[${i}]`, 'is listed twice', entry)
+    seen.add(entry)
+    return item(entry, `${field}[${i}]`)
+  })
+}
+
+// A task is a string or a conversation { system?, turns } (see tasks.js); the length
+// limit applies to the whole conversation
+const task = (value, field) => {
+  if (typeof value === 'string') return text({ max: maxTaskLength })(value, field)
+  if (typeof value !== 'object' || Array.isArray(value) || !Array.isArray(value.turns)) {
+    return problem(field, 'must be a string or a conversation with a list of turns')
+  }
+  if (!value.turns.length || value.turns.length > MAX_TURNS) return problem(`${field}.turns`, `must have 1 to ${MAX_TURNS} turns`)
+  const problems = [
+    ...optional(text({ max: maxTaskLength }))(value.system, `${field}.system`),
+    ...value.turns.flatMap((turn, i) => text({ max: maxTaskLength })(turn, `${field}.turns[${i}]`)),
+  ]
+  if (problems.length) return problems
+  const length = taskText(value).length
+  return length > maxTaskLength() ? problem(field, `must be at most ${maxTaskLength()} characters in all (got ${length})`) : []
+}
+
+// Rows of template variable values: [{ name: 'value' }]
+const valueRows = (value, field) => {
+  if (!Array.isArray(value)) return problem(field, 'must be a list')
+  if (!value.length || value.length > MAX_VALUE_ROWS) return problem(field, `must have 1 to ${MAX_VALUE_ROWS} rows`)
+  return value.flatMap((row, i) => {
+    if (typeof row !== 'object' || row === null || Array.isArray(row)) return problem(`${field}[${i}]`, 'must be an object of variable values')
+    return Object.entries(row).flatMap(([name, v]) =>
+      typeof v === 'string' && v.length <= maxTaskLength() ? [] : problem(`${field}[${i}].${name}`, 'must be a string', v)
+    )
+  })
+}
+
+const name = text({ max: () => 200 })
+
+const colour = (value, field) =>
+  typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? [] : problem(field, 'must be a hex colour like #8ef1ff', value)
+
+// Short labels such as 'Role-playing'; a list may be empty
+const labelList = ({ max }) => (value, field) => {
+  if (!Array.isArray(value)) return problem(field, 'must be a list')
+  if (value.length > max) return problem(field, `must have at most ${max} entries`)
+  return value.flatMap((entry, i) => text({ max: () => 60 })(entry, `${field}[${i}]`))
+}
+
+const matrix = {
+  frameworks: required(idList(knownFramework)),
+  models: required(idList(knownModel)),
+}
+// Runs per combo, for spread and significance (see stats.js)
+const repetitions = optional(integer({ min: 1, max: MAX_REPETITIONS }))
+
+export const schemas = {
+  run: { task: required(task), modelId: required(knownModel), noCache: optional(boolean) },
+  // `task` or a saved `template`, optionally expanded over `values` (checked in the route)
+  compare: {
+    task: optional(task),
+    template: optional(name),
+    values: optional(valueRows),
+    ...matrix,
+    repetitions,
+    concurrency: optional(integer({ min: 1, max: MAX_CONCURRENCY })),
+    noCache: optional(boolean),
+  },
+  suiteRun: { ...matrix, repetitions, concurrency: optional(integer({ min: 1, max: MAX_CONCURRENCY })), noCache: optional(boolean) },
+  estimate: { task: optional(task), template: optional(name), values: optional(valueRows), suite: optional(name), ...matrix, repetitions },
+  template: { name: required(name), task: required(task) },
+  // A custom framework profile (see profiles.js); `stepsHint` is its process, e.g. 'Plan -> Draft -> Review'
+  profile: {
+    name: required(name),
+    accent: optional(colour),
+    traits: optional(labelList({ max: MAX_TRAITS })),
+    stepsHint: optional(text({ max: () => 500 })),
+    systemPrompt: optional(text({ max: maxTaskLength })),
+  },
+}
+
+export const badRequest = (res, problems) =>
+  res.status(400).json({
+    error: `Invalid request: ${problems.map((p) => `${p.field} ${p.message}`).join('; ')}`,
+    fields: problems,
+  })
+
+// Express middleware that rejects bodies not matching `schema`. Unknown fields are ignored.
+export const validateBody = (schema) => (req, res, next) => {
+  const body = req.body ?? {}
+  if (typeof body !== 'object' || Array.isArray(body)) return badRequest(res, problem('body', 'must be a JSON object'))
+  const problems = Object.entries(schema).flatMap(([field, check]) => check(body[field], field))
+  if (problems.length) return badRequest(res, problems)
+  req.body = body
+  next()
+}
+
+// Turns body-parser failures into the same JSON shape instead of an HTML error page
+export const handleBodyErrors = (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return badRequest(res, problem('body', 'is not valid JSON'))
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large', fields: [] })
+  next(err)
+}
@@ -1,113 +1,457 @@
-import { useEffect, useMemo, useState } from 'react'
+import { useCallback, useEffect, useEffectEvent, useMemo, useRef, useState } from 'react'
 import './App.css'
-import { runAgent } from './services/runAgent.js'
-
-const frameworks = [
-  {
-    id: 'langgraph',
-    name: 'LangGraph',
-    accent: '#8ef1ff',
-    description: 'Graph-first control with tool-calling and guardrails.',
-    strengths: ['branch-safe', 'memory aware', 'deterministic'],
-  },
-  {
-    id: 'autogen',
-    name: 'AutoGen',
-    accent: '#f5c66d',
-    description: 'Conversational multi-agent orchestration with swappable runtimes.',
-    strengths: ['negotiation', 'lightweight', 'multi-round'],
-  },
-  {
-    id: 'crewai',
-    name: 'CrewAI',
-    accent: '#c7a0ff',
-    description: 'Role-based agent crews with task decomposition and reviews.',
-    strengths: ['role clarity', 'reviews', 'handoffs'],
-  },
-  {
-    id: 'llamaindex',
-    name: 'LlamaIndex',
-    accent: '#7df1c3',
-    description: 'Retrieval-centric agent graphs with observability hooks.',
-    strengths: ['retrieval', 'evaluations', 'schema aware'],
-  },
-]
+import { startComparison, subscribeComparison } from './services/compare.js'
+import { fetchCatalog } from './services/catalog.js'
+import { listRuns, getRun, deleteRun, getRunReport, exportUrl, shareRun, getSharedRun } from './services/history.js'
+import { readPermalink, writePermalink, shareUrl, maxRepetitions } from './services/permalink.js'
+import { listSuites, getSuite, runSuite } from './services/suites.js'
+import { listTemplates, createTemplate, updateTemplate, deleteTemplate, taskReady, taskLabel, cleanTask, sameTask } from './services/templates.js'
+import { createProfile, updateProfile, deleteProfile } from './services/profiles.js'
+import { estimateCost, formatCost } from './services/pricing.js'
+import { fetchBudget } from './services/budget.js'
+import { describeField } from './services/errors.js'
+import SuiteReport from './components/SuiteReport.jsx'
+import SpendMeter from './components/SpendMeter.jsx'
+import AccessNotice from './components/AccessNotice.jsx'
+import TraceTimeline from './components/TraceTimeline.jsx'
+import RunDiff from './components/RunDiff.jsx'
+import TaskEditor from './components/TaskEditor.jsx'
+import ProfileEditor from './components/ProfileEditor.jsx'
+import RunSpread from './components/RunSpread.jsx'
+import { onAccessProblem } from './services/api.js'
+import { leaderOf, summarize } from '../server/stats.js'
+import { variablesOf } from '../server/tasks.js'
 
-const models = [
-  { id: 'gpt-41', name: 'GPT-4.1', vendor: 'OpenAI', costPer1k: 0.004, style: 'analysis' },
-  { id: 'claude-37', name: 'Claude 3.7 Sonnet', vendor: 'Anthropic', costPer1k: 0.0035, style: 'reasoned' },
-  { id: 'llama-33', name: 'Llama 3.3 70B', vendor: 'Meta', costPer1k: 0.0015, style: 'open-weight' },
-  { id: 'gemini-20', name: 'Gemini 2.0 Flash', vendor: 'Google', costPer1k: 0.002, style: 'speed' },
-]
+// Runs stored before provenance tracking have no source and count as live
+const isLive = (run) => (run.source ?? 'live') === 'live'
 
-const starterPrompts = [
-  'Design a weekend web app that compares climate data using AI agents.',
-  'Generate a launch plan for a student fintech MVP with guardrails.',
-  'Map the fastest route to prototype a multimodal travel concierge.',
-]
+// Mock and fallback runs only compete for the badges when `includeNonLive` is set
+const competes = (run, includeNonLive) => !run.error && !run.loading && (includeNonLive || isLive(run))
 
-const aggregateHighlights = (runs) => {
-  if (!runs.length) {
-    return {}
-  }
+// Badges pool every run of a framework × model, across tasks and repetitions
+const statsKey = (run) => `${run.framework.id}|${run.model.id}`
 
-  const validRuns = runs.filter(r => !r.error && !r.loading)
+// Combos compete on their mean over those runs, and a leader that isn't significantly
+// ahead of the rest (see server/stats.js) only ties. Each highlight is
+// { run, value, ci, winner, tied, combos }: `run` is one of the leader's runs and
+// `tied` one run of every combo in the tie, leader first.
+const aggregateHighlights = (runs, { includeNonLive = false } = {}) => {
+  const validRuns = runs.filter((run) => competes(run, includeNonLive))
   if (!validRuns.length) return {}
 
-  const fastest = validRuns.reduce((best, run) => (run.metrics.latency < best.metrics.latency ? run : best), validRuns[0])
-  const cheapest = validRuns.reduce((best, run) => (run.metrics.cost < best.metrics.cost ? run : best), validRuns[0])
-  const highestQuality = validRuns.reduce((best, run) => (run.metrics.quality > best.metrics.quality ? run : best), validRuns[0])
+  const runsOf = (key) => validRuns.filter((run) => statsKey(run) === key)
+  const keys = [...new Set(validRuns.map(statsKey))]
+  const best = (metric, better) => {
+    const { leader, winner, tied } = leaderOf(keys.map((key) => ({ id: key, values: runsOf(key).map((run) => run.metrics[metric]) })), better)
+    const { mean, ci } = summarize(runsOf(leader).map((run) => run.metrics[metric]))
+    return { run: runsOf(leader)[0], value: mean, ci, winner: Boolean(winner), tied: tied.map((key) => runsOf(key)[0]), combos: keys.length }
+  }
   const averageTokens = Math.round(validRuns.reduce((sum, run) => sum + run.metrics.tokens, 0) / validRuns.length)
 
-  return { fastest, cheapest, highestQuality, averageTokens }
+  return { fastest: best('latency', 'lower'), cheapest: best('cost', 'lower'), highestQuality: best('quality', 'higher'), averageTokens }
+}
+
+// 'win' when the run's combo wins the highlight, 'tie' when it ties for it.
+// A tie across every combo says nothing about any one of them, so it gets no badge.
+const placeIn = (highlight, run, includeNonLive) => {
+  if (!highlight || !competes(run, includeNonLive)) return null
+  if (highlight.winner) return statsKey(highlight.run) === statsKey(run) ? 'win' : null
+  const tied = highlight.tied.length < highlight.combos && highlight.tied.some((other) => statsKey(other) === statsKey(run))
+  return tied ? 'tie' : null
+}
+
+const comboName = (run) => `${run.framework.name} × ${run.model.name}`
+
+const seconds = (value) => `${+value.toFixed(1)}s`
+
+const ciNote = ([low, high], format) => `95% CI ${format(low)} – ${format(high)}`
+
+// Who a summary card credits: the winner, or everyone in the tie
+const creditOf = (highlight) => {
+  if (highlight.winner) return comboName(highlight.run)
+  if (highlight.tied.length === highlight.combos) return `Tie across all ${highlight.combos} combos`
+  return `Tie: ${highlight.tied.map(comboName).join(', ')}`
+}
+
+// Turns a server-side comparison cell into the run shape the cards render.
+// Falls back to bare ids when a framework or model has left the catalog since the run.
+// `tasks` is only passed for comparisons of several tasks (suites, expanded templates),
+// where each card names its task: a template row by its values.
+const cellToRun = (cell, frameworks, models, tasks) => ({
+  id: cell.id,
+  task: tasks && (tasks[cell.taskIndex ?? 0]?.label ?? taskLabel(tasks[cell.taskIndex ?? 0]?.task)),
+  framework: frameworks.find((fw) => fw.id === cell.frameworkId) ?? { id: cell.frameworkId, name: cell.frameworkId, accent: '#99a3b8', strengths: [] },
+  model: models.find((m) => m.id === cell.modelId) ?? { id: cell.modelId, name: cell.modelId },
+  repetition: cell.repetition ?? 0,
+  loading: cell.status === 'pending' || cell.status === 'running',
+  status: cell.status,
+  error: cell.error,
+  metrics: cell.metrics ?? { latency: 0, tokens: 0, cost: 0, quality: 0, coverage: 0 },
+  steps: cell.steps ?? [],
+  toolCalls: cell.toolCalls ?? [],
+  stages: cell.stages,
+  turns: cell.turns,
+  trace: cell.trace,
+  output: cell.status === 'error' ? 'Error' : cell.output ?? '',
+  judge: cell.judge,
+  analysis: cell.analysis,
+  cached: cell.cached,
+  cachedAt: cell.cachedAt,
+  source: cell.source,
+  fallback: cell.fallback,
+})
+
+// A rejected request still gets a card per combo, each showing the problems that concern it
+const rejectedRuns = (fields, frameworkIds, modelIds, frameworks, models) => {
+  const concerns = (frameworkId, modelId) => ({ field, value }) => {
+    if (field.startsWith('frameworks[')) return value === frameworkId
+    if (field.startsWith('models[')) return value === modelId
+    return true
+  }
+  return frameworkIds.flatMap((frameworkId) =>
+    modelIds.map((modelId) => {
+      const problems = fields.filter(concerns(frameworkId, modelId))
+      const error = problems.length ? problems.map(describeField).join('; ') : 'Not run because another selection was rejected'
+      return cellToRun({ id: `${frameworkId}-${modelId}`, frameworkId, modelId, status: 'rejected', error }, frameworks, models)
+    })
+  )
+}
+
+const tieTitle = "Not significantly different from the leader's runs (Welch's t-test, 95%)"
+
+const errorLabels = { skipped: 'Skipped', rejected: 'Rejected' }
+
+const sourceBadge = (run) => {
+  if (run.source === 'mock') return { label: 'Mock', title: 'No provider configured, or a stub runner: simulated result' }
+  const { category = 'unknown', status, message = '' } = run.fallback ?? {}
+  return {
+    label: 'Fallback',
+    title: `Live call failed (${category}${status ? `, HTTP ${status}` : ''}): ${message}. Showing a simulated result.`,
+  }
 }
 
+const exportFormats = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'json', label: 'JSON' },
+  { id: 'md', label: 'Markdown' },
+  { id: 'html', label: 'HTML report' },
+]
+
+// Runs of the same combo (and suite task, and repetition) line up across comparisons
+const comboKey = (run) => `${run.framework.id}|${run.model.id}|${run.task ?? ''}|${run.repetition ?? 0}`
+
+const formatTimestamp = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })
+
 function App() {
-  const [task, setTask] = useState(starterPrompts[0])
-  const [selectedFrameworks, setSelectedFrameworks] = useState(frameworks.map((fw) => fw.id))
-  const [selectedModels, setSelectedModels] = useState([models[0].id, models[1].id])
+  // Setup (or a share id) from the URL, read once on boot
+  const [permalink] = useState(() => readPermalink())
+  // A string, or a conversation { system, turns } (see services/templates.js)
+  const [task, setTask] = useState(permalink.task ?? '')
+  // Rows of {{variable}} values; each row is one run of the task
+  const [values, setValues] = useState(permalink.values ?? [{}])
+  const [templates, setTemplates] = useState([])
+  const [activeTemplateId, setActiveTemplateId] = useState(permalink.template ?? null)
+  const activeTemplate = templates.find((template) => template.id === activeTemplateId) ?? null
+  const [frameworks, setFrameworks] = useState([])
+  const [models, setModels] = useState([])
+  const [currency, setCurrency] = useState('USD')
+  const [catalogError, setCatalogError] = useState('')
+  const [selectedFrameworks, setSelectedFrameworks] = useState([])
+  // Custom framework profile open in the editor: its id, 'new', or null when closed
+  const [editingProfile, setEditingProfile] = useState(null)
+  const [selectedModels, setSelectedModels] = useState([])
   const [runs, setRuns] = useState([])
+  const [compareError, setCompareError] = useState('')
+  const [history, setHistory] = useState([])
+  const [suites, setSuites] = useState([])
+  const [suite, setSuite] = useState(null)
+  // Stored comparison of several tasks whose aggregate report is shown, and the report
+  const [reportId, setReportId] = useState(null)
+  const [report, setReport] = useState(null)
+  // Id of the stored comparison on screen; exports are only available once it is saved
+  const [savedId, setSavedId] = useState(null)
+  // Share id while viewing someone's shared comparison read-only
+  const [sharedId, setSharedId] = useState(null)
+  const [shareNotice, setShareNotice] = useState('')
+  const [estimate, setEstimate] = useState(null)
+  const [budget, setBudget] = useState(null)
+  const [noCache, setNoCache] = useState(permalink.noCache ?? false)
+  // Runs per combo; with more than one, badges need a significant difference
+  const [repetitions, setRepetitions] = useState(permalink.repetitions ?? 1)
+  const [includeNonLive, setIncludeNonLive] = useState(false)
+  const [accessProblem, setAccessProblem] = useState(null)
+  // Up to two card ids picked for the output diff
+  const [diffPicks, setDiffPicks] = useState([])
+  // A stored comparison whose runs are diffed against the same combos on screen
+  const [baseline, setBaseline] = useState(null)
+  const [driftKey, setDriftKey] = useState(null)
+  const stopUpdates = useRef(null)
+
+  // Restores a stored comparison into the matrix without re-running anything.
+  // `catalog` is passed on boot, before the catalog state has landed.
+  const showRecord = (record, catalog = { frameworks, models }) => {
+    stopUpdates.current?.()
+    setCompareError('')
+    setDiffPicks([])
+    setBaseline((prev) => (prev?.id === record.id ? null : prev))
+    setSelectedFrameworks(record.frameworks)
+    setSelectedModels(record.models)
+    setRepetitions(record.repetitions ?? 1)
+    setSavedId(record.id)
+    const severalTasks = record.tasks?.length > 1 ? record.tasks : undefined
+    if (record.suite) {
+      setSuite({ ...record.suite, tasks: record.tasks })
+    } else {
+      setSuite(null)
+      setTask(record.task)
+      setValues(record.tasks?.[0]?.values ? record.tasks.map((item) => item.values) : [{}])
+      setActiveTemplateId(record.template?.id ?? null)
+    }
+    setRuns(record.cells.map((cell) => cellToRun(cell, catalog.frameworks, catalog.models, severalTasks)))
+    setReport(null)
+    setReportId(severalTasks ? record.id : null)
+  }
+
+  // A permalink may preselect frameworks and models, open a suite or open a shared result.
+  // An effect event, so the boot effect below sees the current `showRecord` yet runs once.
+  const applyPermalink = useEffectEvent(async (catalog) => {
+    const pickKnown = (ids, known) => ids?.filter((id) => known.some((item) => item.id === id))
+    const linkedFrameworks = pickKnown(permalink.frameworks, catalog.frameworks)
+    const linkedModels = pickKnown(permalink.models, catalog.models)
+    setSelectedFrameworks(linkedFrameworks?.length ? linkedFrameworks : catalog.frameworks.map((fw) => fw.id))
+    setSelectedModels(linkedModels?.length ? linkedModels : catalog.models.slice(0, 2).map((m) => m.id))
+
+    if (permalink.share) {
+      showRecord(await getSharedRun(permalink.share), catalog)
+      setSharedId(permalink.share)
+    } else if (permalink.suite) {
+      setSuite(await getSuite(permalink.suite))
+    }
+  })
+
+  // Frameworks and models come from the server's adapter registry
+  useEffect(() => {
+    fetchCatalog()
+      .then(async (catalog) => {
+        setFrameworks(catalog.frameworks)
+        setModels(catalog.models)
+        setCurrency(catalog.currency ?? 'USD')
+        await applyPermalink(catalog)
+      })
+      .catch((err) => setCatalogError(err.message))
+    listSuites()
+      .then(setSuites)
+      .catch((err) => console.error('Could not load suites:', err))
+    // With no task from the link, start from the first template
+    listTemplates()
+      .then((list) => {
+        setTemplates(list)
+        setTask((current) => current || list[0]?.task || '')
+      })
+      .catch((err) => console.error('Could not load templates:', err))
+  }, [])
+
+  const pickSuite = async (id) => {
+    if (!id) return setSuite(null)
+    try {
+      setSuite(await getSuite(id))
+    } catch (err) {
+      setCompareError(err.message)
+    }
+  }
 
   const buildComparisons = async (nextTask = task, nextFrameworks = selectedFrameworks, nextModels = selectedModels) => {
-    const pickedFrameworks = frameworks.filter((fw) => nextFrameworks.includes(fw.id))
-    const pickedModels = models.filter((m) => nextModels.includes(m.id))
-
-    // Mark existing relevant runs as loading or keep them if we want to diff
-    // For simplicity, we just rebuild the list. 
-    // UX improvement: Keep old runs but mark loading.
-    const combos = pickedFrameworks.flatMap((fw) => pickedModels.map((m) => ({ fw, m })))
-
-    setRuns(combos.map(({ fw, m }) => ({
-      id: `${fw.id}-${m.id}`,
-      framework: fw,
-      model: m,
-      loading: true,
-      metrics: { latency: 0, tokens: 0, cost: 0, quality: 0 },
-      steps: [],
-      output: ''
-    })))
-
-    const results = await Promise.allSettled(
-      combos.map(({ fw, m }) =>
-        runAgent({ task: nextTask, frameworkId: fw.id, modelId: m.id }).then((res) => ({ fw, m, ...res }))
-      )
-    )
-
-    setRuns(
-      results.map((res, i) => {
-        const { fw, m } = combos[i]
-        if (res.status === 'fulfilled') return { id: `${fw.id}-${m.id}`, framework: fw, model: m, ...res.value, loading: false }
-        return {
-          id: `${fw.id}-${m.id}`,
-          framework: fw,
-          model: m,
-          error: res.reason?.message || 'Failed',
-          metrics: { latency: 0, tokens: 0, cost: 0, quality: 0, coverage: 0 },
-          steps: [],
-          output: 'Error'
-        }
+    // The server owns the fan-out; we only mirror its per-cell status
+    // Several tasks (a suite, or a template over several rows) label each card with its task
+    let jobTasks = suite?.tasks
+    const toRun = (cell) => cellToRun(cell, frameworks, models, jobTasks)
+    const updateRun = (cellId, update) => setRuns((prev) => prev.map((run) => (run.id === cellId ? update(run) : run)))
+
+    stopUpdates.current?.()
+    setReport(null)
+    setReportId(null)
+    setDiffPicks([])
+    setSavedId(null)
+    setSharedId(null)
+    try {
+      const matrix = { frameworks: nextFrameworks, models: nextModels, repetitions, noCache }
+      const template = activeTemplate && sameTask(activeTemplate.task, nextTask) ? activeTemplate.id : undefined
+      const { id } = suite
+        ? await runSuite(suite.id, matrix)
+        : await startComparison({ task: cleanTask(nextTask), template, values: expanding ? values : undefined, ...matrix })
+      stopUpdates.current = subscribeComparison(id, {
+        snapshot: (job) => {
+          jobTasks = job.tasks.length > 1 ? job.tasks : undefined
+          setRuns(job.cells.map(toRun))
+        },
+        cell: (cell) => updateRun(cell.id, () => toRun(cell)),
+        step: ({ cellId, step }) => updateRun(cellId, (run) => ({ ...run, steps: [...run.steps, step] })),
+        token: ({ cellId, text, restart }) => updateRun(cellId, (run) => ({ ...run, output: (restart ? '' : run.output) + text })),
+        tool: ({ cellId, call }) => updateRun(cellId, (run) => ({ ...run, toolCalls: [...run.toolCalls, call] })),
+        spend: setBudget,
+        done: () => {
+          setSavedId(id)
+          refreshHistory()
+          if (jobTasks) setReportId(id)
+        },
+        error: (err) => setCompareError(err.message),
       })
-    )
+    } catch (err) {
+      if (err.fields?.length) {
+        setRuns(rejectedRuns(err.fields, nextFrameworks, nextModels, frameworks, models))
+      } else {
+        setRuns([])
+        setCompareError(err.message)
+      }
+      refreshBudget()
+    }
+  }
+
+  useEffect(() => () => stopUpdates.current?.(), [])
+
+  // The report's task wins follow the same live-only rule as the badges, so it reloads with the toggle
+  useEffect(() => {
+    if (!reportId) return
+    let current = true
+    getRunReport(reportId, { includeNonLive })
+      .then((next) => current && setReport(next))
+      .catch((err) => setCompareError(err.message))
+    return () => {
+      current = false
+    }
+  }, [reportId, includeNonLive])
+
+  // 401s ask for an API key and 429s say when to retry, wherever the request came from
+  useEffect(() => onAccessProblem(setAccessProblem), [])
+  const dismissAccessProblem = useCallback(() => setAccessProblem(null), [])
+
+  const refreshHistory = () =>
+    listRuns()
+      .then(setHistory)
+      .catch((err) => console.error('Could not load history:', err))
+
+  useEffect(() => {
+    refreshHistory()
+  }, [])
+
+  const refreshBudget = () =>
+    fetchBudget()
+      .then(setBudget)
+      .catch((err) => console.error('Could not load budget:', err))
+
+  useEffect(() => {
+    refreshBudget()
+  }, [])
+
+  const loadFromHistory = async (id) => {
+    try {
+      showRecord(await getRun(id))
+      setSharedId(null)
+    } catch (err) {
+      setCompareError(err.message)
+    }
+  }
+
+  const loadTemplate = (template) => {
+    setTask(template.task)
+    setValues([{}])
+    setActiveTemplateId(template.id)
+  }
+
+  // Saves the task as a new template, or with no name, updates the template it was loaded from.
+  // Returns whether it worked, so the editor can clear its name field.
+  const saveTemplate = async ({ name }) => {
+    try {
+      if (!name && activeTemplate) {
+        const updated = await updateTemplate(activeTemplate.id, { name: activeTemplate.name, task: cleanTask(task) })
+        setTemplates((prev) => prev.map((template) => (template.id === updated.id ? updated : template)))
+      } else {
+        const created = await createTemplate({ name, task: cleanTask(task) })
+        setTemplates((prev) => [...prev, created])
+        setActiveTemplateId(created.id)
+      }
+      return true
+    } catch (err) {
+      setCompareError(err.message)
+      return false
+    }
+  }
+
+  const removeTemplate = async (id) => {
+    try {
+      await deleteTemplate(id)
+      setTemplates((prev) => prev.filter((template) => template.id !== id))
+      if (activeTemplateId === id) setActiveTemplateId(null)
+    } catch (err) {
+      setCompareError(err.message)
+    }
+  }
+
+  // New profiles join the catalog selected, so the next run includes them
+  const saveProfile = async (fields) => {
+    try {
+      if (editingProfile === 'new') {
+        const created = await createProfile(fields)
+        setFrameworks((prev) => [...prev, created])
+        setSelectedFrameworks((prev) => [...prev, created.id])
+      } else {
+        const updated = await updateProfile(editingProfile, fields)
+        setFrameworks((prev) => prev.map((fw) => (fw.id === updated.id ? updated : fw)))
+      }
+      setEditingProfile(null)
+    } catch (err) {
+      setCompareError(err.message)
+    }
+  }
+
+  const removeProfile = async (id) => {
+    try {
+      await deleteProfile(id)
+      setFrameworks((prev) => prev.filter((fw) => fw.id !== id))
+      setSelectedFrameworks((prev) => prev.filter((fw) => fw !== id))
+      if (editingProfile === id) setEditingProfile(null)
+    } catch (err) {
+      setCompareError(err.message)
+    }
+  }
+
+  // Loads a stored comparison as the "before" side of a drift diff
+  const diffAgainstHistory = async (id) => {
+    try {
+      const record = await getRun(id)
+      setBaseline({
+        id,
+        createdAt: record.createdAt,
+        runs: record.cells.map((cell) => cellToRun(cell, frameworks, models, record.tasks)),
+      })
+      setDiffPicks([])
+    } catch (err) {
+      setCompareError(err.message)
+    }
+  }
+
+  const toggleDiffPick = (id) =>
+    setDiffPicks((prev) => (prev.includes(id) ? prev.filter((pick) => pick !== id) : [...prev, id].slice(-2)))
+
+  const copyShareLink = async () => {
+    try {
+      const shareId = sharedId ?? (await shareRun(savedId)).shareId
+      await navigator.clipboard.writeText(shareUrl(shareId))
+      setShareNotice('Link copied')
+    } catch (err) {
+      setShareNotice(`Could not share: ${err.message}`)
+    }
+    setTimeout(() => setShareNotice(''), 2500)
+  }
+
+  const removeFromHistory = async (id) => {
+    try {
+      await deleteRun(id)
+      setHistory((prev) => prev.filter((entry) => entry.id !== id))
+      if (savedId === id) setSavedId(null)
+    } catch (err) {
+      setCompareError(err.message)
+    }
   }
 
   // Initial load
@@ -116,7 +460,22 @@ function App() {
   // }, [])
   // Don't auto-run on every change, user must click "Run"
 
-  const highlights = useMemo(() => aggregateHighlights(runs), [runs])
+  // Two picked cards, or with a baseline, one combo then (stored) and now (on screen)
+  const finished = runs.filter((run) => !run.loading)
+  const driftRuns = baseline ? finished.filter((run) => baseline.runs.some((old) => comboKey(old) === comboKey(run))) : []
+  const driftRun = driftRuns.find((run) => comboKey(run) === driftKey) ?? driftRuns[0]
+  const onScreenAt = history.find((entry) => entry.id === savedId)?.createdAt
+  const diffPair = baseline
+    ? driftRun && [
+        { run: baseline.runs.find((old) => comboKey(old) === comboKey(driftRun)), label: formatTimestamp(baseline.createdAt) },
+        { run: driftRun, label: onScreenAt ? formatTimestamp(onScreenAt) : 'on screen' },
+      ]
+    : diffPicks.length === 2 && diffPicks.map((id) => ({ run: runs.find((run) => run.id === id) })).filter((side) => side.run)
+
+  const highlights = useMemo(() => aggregateHighlights(runs, { includeNonLive }), [runs, includeNonLive])
+  const repeated = runs.some((run) => run.repetition > 0)
+  const hasNonLive = runs.some((run) => !run.loading && !run.error && !isLive(run))
+  const noHighlight = runs.length && hasNonLive && !includeNonLive ? 'No live runs' : 'No runs yet'
 
   const toggleFramework = (id) => {
     setSelectedFrameworks((prev) => (prev.includes(id) ? prev.filter((fw) => fw !== id) : [...prev, id]))
@@ -126,7 +485,42 @@ function App() {
     setSelectedModels((prev) => (prev.includes(id) ? prev.filter((m) => m !== id) : [...prev, id]))
   }
 
-  const readyToCompare = selectedFrameworks.length > 0 && selectedModels.length > 0 && task.trim().length > 0
+  const variables = variablesOf(task)
+  const expanding = !suite && variables.length > 0
+  const valuesReady = values.every((row) => variables.every((variable) => row[variable]?.trim()))
+  const taskOk = suite ? suite.tasks.length > 0 : taskReady(task) && (!expanding || valuesReady)
+  const readyToCompare = selectedFrameworks.length > 0 && selectedModels.length > 0 && taskOk
+  const runCount = (suite ? suite.tasks.length : expanding ? values.length : 1) * selectedFrameworks.length * selectedModels.length * repetitions
+  const budgetLeft = budget
+    ? Math.min(...['comparison', 'session', 'day'].map((scope) => budget[scope]?.remaining ?? Infinity))
+    : Infinity
+
+  // Pre-run estimate from the server's pricing; debounced so typing doesn't flood it
+  useEffect(() => {
+    if (!readyToCompare) return
+    const timer = setTimeout(() => {
+      estimateCost({ task: cleanTask(task), values: expanding ? values : undefined, suite: suite?.id, frameworks: selectedFrameworks, models: selectedModels, repetitions })
+        .then(setEstimate)
+        .catch((err) => console.error('Could not estimate cost:', err))
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [readyToCompare, task, values, expanding, suite, selectedFrameworks, selectedModels, repetitions])
+
+  // Keep the address bar a working link to what is on screen
+  useEffect(() => {
+    if (!frameworks.length) return
+    writePermalink({
+      task,
+      values: expanding ? values : undefined,
+      template: activeTemplate && sameTask(activeTemplate.task, task) ? activeTemplate.id : undefined,
+      frameworks: selectedFrameworks,
+      models: selectedModels,
+      suite: suite?.id,
+      repetitions,
+      noCache,
+      share: sharedId,
+    })
+  }, [frameworks, task, values, expanding, activeTemplate, selectedFrameworks, selectedModels, suite, repetitions, noCache, sharedId])
 
   return (
     <div className="page">
@@ -140,89 +534,221 @@ function App() {
         </p>
       </header>
 
+      {accessProblem && <AccessNotice problem={accessProblem} onDismiss={dismissAccessProblem} />}
+
       <div className="layout">
         <aside className="panel control">
-          <div className="section">
-            <div className="section-header">
-              <span className="section-label">Task</span>
-              <span className="muted">Same prompt, multiple stacks</span>
+          <fieldset className="controls" disabled={Boolean(sharedId)}>
+            <div className="section">
+              <div className="section-header">
+                <span className="section-label">Task</span>
+                <select className="suite-picker" value={suite?.id ?? ''} onChange={(e) => pickSuite(e.target.value)}>
+                  <option value="">Single prompt</option>
+                  {suites.map((entry) => (
+                    <option key={entry.id} value={entry.id}>
+                      Suite: {entry.name} ({entry.tasks})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {suite ? (
+                <div className="suite-tasks">
+                  {suite.tasks.map((item, i) => (
+                    <div key={i} className="plan-step">
+                      <span className="tick">{i + 1}</span>
+                      <span>
+                        {item.task}
+                        {item.tags?.map((tag) => (
+                          <span key={tag} className="tag light">{tag}</span>
+                        ))}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <TaskEditor
+                  task={task}
+                  onChange={setTask}
+                  values={values}
+                  onValuesChange={setValues}
+                  templates={templates}
+                  activeTemplate={activeTemplate}
+                  onLoadTemplate={loadTemplate}
+                  onSaveTemplate={saveTemplate}
+                  onDeleteTemplate={removeTemplate}
+                />
+              )}
             </div>
-            <textarea
-              value={task}
-              onChange={(e) => setTask(e.target.value)}
-              rows={5}
-              placeholder="Describe the task you want every agent to run..."
-            />
-            <div className="chips">
-              {starterPrompts.map((prompt) => (
-                <button key={prompt} type="button" className="chip" onClick={() => setTask(prompt)}>
-                  {prompt}
+  
+            <div className="section">
+              <div className="section-header">
+                <span className="section-label">Frameworks</span>
+                <span className="muted">Pick 1 or more</span>
+              </div>
+              {catalogError && <div className="summary-empty">Could not load catalog: {catalogError}</div>}
+              <div className="option-grid">
+                {frameworks.map((fw) => (
+                  <button
+                    key={fw.id}
+                    type="button"
+                    className={`option ${selectedFrameworks.includes(fw.id) ? 'option-active' : ''}`}
+                    onClick={() => toggleFramework(fw.id)}
+                  >
+                    <span className="dot" style={{ background: fw.accent }} />
+                    <div>
+                      <div className="option-title">{fw.name}</div>
+                      <div className="option-sub">{fw.description}</div>
+                    </div>
+                    <div className="pills">
+                      {fw.sidecar && <span className="pill pill-live" title="Runs the real framework through a local runner">sidecar</span>}
+                      {fw.custom && <span className="pill" title="Custom profile, run through the roleplay simulator">custom</span>}
+                      {fw.strengths.map((s) => (
+                        <span key={s} className="pill">{s}</span>
+                      ))}
+                    </div>
+                  </button>
+                ))}
+              </div>
+              <div className="chips">
+                {frameworks.filter((fw) => fw.custom).map((fw) => (
+                  <span key={fw.id} className={`template-chip ${editingProfile === fw.id ? 'chip-active' : ''}`}>
+                    <button type="button" className="template-load" onClick={() => setEditingProfile(fw.id)} title="Edit this profile">
+                      <span className="dot" style={{ background: fw.accent }} /> {fw.name} ✎
+                    </button>
+                    <button type="button" className="history-delete" onClick={() => removeProfile(fw.id)} aria-label={`Delete profile ${fw.name}`}>
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <button type="button" className={`chip ${editingProfile === 'new' ? 'chip-active' : ''}`} onClick={() => setEditingProfile('new')}>
+                  New profile
                 </button>
-              ))}
+              </div>
+              {editingProfile && (
+                <ProfileEditor
+                  key={editingProfile}
+                  profile={frameworks.find((fw) => fw.id === editingProfile) ?? null}
+                  onSave={saveProfile}
+                  onCancel={() => setEditingProfile(null)}
+                />
+              )}
             </div>
-          </div>
-
-          <div className="section">
-            <div className="section-header">
-              <span className="section-label">Frameworks</span>
-              <span className="muted">Pick 1 or more</span>
+  
+            <div className="section">
+              <div className="section-header">
+                <span className="section-label">Models</span>
+                <span className="muted">Pick 1 or more</span>
+              </div>
+              <div className="option-grid models">
+                {models.map((model) => (
+                  <button
+                    key={model.id}
+                    type="button"
+                    className={`option ${selectedModels.includes(model.id) ? 'option-active' : ''}`}
+                    onClick={() => toggleModel(model.id)}
+                  >
+                    <div>
+                      <div className="option-title">{model.name}</div>
+                      <div
+                        className="option-sub"
+                        title={model.live ? `Live via ${model.route.provider} (${model.route.model})` : 'No provider configured, runs use the mock engine'}
+                      >
+                        {model.vendor} · {model.style}{model.live === false && ' · mock'}
+                      </div>
+                    </div>
+                    <span className="pill muted" title={`Cached input ${formatCost(model.pricing.cachedInput, currency, 3)} per 1M tokens`}>
+                      {formatCost(model.pricing.input, currency, 3)} in · {formatCost(model.pricing.output, currency, 3)} out /1M
+                    </span>
+                  </button>
+                ))}
+              </div>
             </div>
-            <div className="option-grid">
-              {frameworks.map((fw) => (
-                <button
-                  key={fw.id}
-                  type="button"
-                  className={`option ${selectedFrameworks.includes(fw.id) ? 'option-active' : ''}`}
-                  onClick={() => toggleFramework(fw.id)}
-                >
-                  <span className="dot" style={{ background: fw.accent }} />
-                  <div>
-                    <div className="option-title">{fw.name}</div>
-                    <div className="option-sub">{fw.description}</div>
-                  </div>
-                  <div className="pills">
-                    {fw.strengths.map((s) => (
-                      <span key={s} className="pill">{s}</span>
-                    ))}
-                  </div>
-                </button>
-              ))}
+  
+            <label className="toggle">
+              <input type="checkbox" checked={noCache} onChange={(e) => setNoCache(e.target.checked)} />
+              <span>Bypass cache</span>
+              <span className="muted">re-run combos even if a recent result exists</span>
+            </label>
+
+            <label className="toggle">
+              <span>Repetitions</span>
+              <input
+                className="repetitions"
+                type="number"
+                min={1}
+                max={maxRepetitions}
+                value={repetitions}
+                onChange={(e) => setRepetitions(Math.min(maxRepetitions, Math.max(1, Math.floor(Number(e.target.value)) || 1)))}
+              />
+              <span className="muted">runs per combo, uncached; badges then need a significant lead</span>
+            </label>
+
+            <button
+              type="button"
+              className={`cta ${readyToCompare ? '' : 'cta-disabled'}`}
+              disabled={!readyToCompare}
+              onClick={() => {
+                setCompareError('')
+                buildComparisons(task, selectedFrameworks, selectedModels)
+              }}
+            >
+              {suite ? 'Run suite' : 'Run comparison'} ({runCount} runs)
+            </button>
+            {readyToCompare && estimate && (
+              <p className="estimate muted" title="Task length plus typical prompt overhead and answer length; judge calls not included">
+                Estimated cost ≈ {formatCost(estimate.total, estimate.currency)} for {estimate.runs} runs
+                {estimate.total > budgetLeft && <span className="text-warn"> · over the remaining budget, some runs will be skipped</span>}
+              </p>
+            )}
+          </fieldset>
+
+          {budget && (
+            <div className="section">
+              <div className="section-header">
+                <span className="section-label">Spend</span>
+                <span className="muted">Daily budget resets at 00:00 UTC</span>
+              </div>
+              <SpendMeter budget={budget} />
             </div>
-          </div>
+          )}
 
           <div className="section">
             <div className="section-header">
-              <span className="section-label">Models</span>
-              <span className="muted">Pick 1 or more</span>
+              <span className="section-label">History</span>
+              <span className="muted">Reload without re-running</span>
             </div>
-            <div className="option-grid models">
-              {models.map((model) => (
-                <button
-                  key={model.id}
-                  type="button"
-                  className={`option ${selectedModels.includes(model.id) ? 'option-active' : ''}`}
-                  onClick={() => toggleModel(model.id)}
-                >
-                  <div>
-                    <div className="option-title">{model.name}</div>
-                    <div className="option-sub">{model.vendor} · {model.style}</div>
+            {history.length ? (
+              <div className="history-list">
+                {history.map((entry) => (
+                  <div key={entry.id} className="history-item">
+                    <button type="button" className="history-load" onClick={() => loadFromHistory(entry.id)}>
+                      <div className="option-title">
+                        {entry.suite ? `Suite: ${entry.suite.name}` : entry.template ? `Template: ${entry.template.name}` : taskLabel(entry.task)}
+                      </div>
+                      <div className="option-sub">
+                        {formatTimestamp(entry.createdAt)} · {entry.runs} runs
+                      </div>
+                    </button>
+                    <button
+                      type="button"
+                      className="history-delete history-diff"
+                      onClick={() => diffAgainstHistory(entry.id)}
+                      disabled={!finished.length || entry.id === savedId}
+                      title="Diff its outputs against the same combos on screen"
+                      aria-label="Diff against the run matrix"
+                    >
+                      ⇄
+                    </button>
+                    <button type="button" className="history-delete" onClick={() => removeFromHistory(entry.id)} aria-label="Delete comparison">
+                      ×
+                    </button>
                   </div>
-                  <span className="pill muted">~${model.costPer1k.toFixed(3)}/1k tok</span>
-                </button>
-              ))}
-            </div>
+                ))}
+              </div>
+            ) : (
+              <div className="summary-empty">No saved comparisons yet</div>
+            )}
           </div>
-
-          <button
-            type="button"
-            className={`cta ${readyToCompare ? '' : 'cta-disabled'}`}
-            disabled={!readyToCompare}
-            onClick={() => {
-              buildComparisons(task, selectedFrameworks, selectedModels)
-            }}
-          >
-            Run comparison ({selectedFrameworks.length * selectedModels.length} runs)
-          </button>
         </aside>
 
         <main className="panel results">
@@ -231,39 +757,40 @@ function App() {
               <div className="summary-label">Fastest</div>
               {highlights.fastest ? (
                 <>
-                  <div className="summary-value highlight-green">{highlights.fastest.metrics.latency}s</div>
-                  <div className="summary-sub">
-                    {highlights.fastest.framework.name} × {highlights.fastest.model.name}
-                  </div>
+                  <div className={`summary-value ${highlights.fastest.winner ? 'highlight-green' : ''}`}>{seconds(highlights.fastest.value)}</div>
+                  <div className="summary-sub">{creditOf(highlights.fastest)}</div>
+                  {highlights.fastest.ci && <div className="summary-sub muted">{ciNote(highlights.fastest.ci, seconds)}</div>}
                 </>
               ) : (
-                <div className="summary-empty">No runs yet</div>
+                <div className="summary-empty">{noHighlight}</div>
               )}
             </div>
             <div className="summary-card">
               <div className="summary-label">Cheapest</div>
               {highlights.cheapest ? (
                 <>
-                  <div className="summary-value highlight-blue">${highlights.cheapest.metrics.cost.toFixed(4)}</div>
-                  <div className="summary-sub">
-                    {highlights.cheapest.framework.name} × {highlights.cheapest.model.name}
-                  </div>
+                  <div className={`summary-value ${highlights.cheapest.winner ? 'highlight-blue' : ''}`}>{formatCost(highlights.cheapest.value, currency)}</div>
+                  <div className="summary-sub">{creditOf(highlights.cheapest)}</div>
+                  {highlights.cheapest.ci && (
+                    <div className="summary-sub muted">{ciNote(highlights.cheapest.ci, (value) => formatCost(value, currency))}</div>
+                  )}
                 </>
               ) : (
-                <div className="summary-empty">No runs yet</div>
+                <div className="summary-empty">{noHighlight}</div>
               )}
             </div>
             <div className="summary-card">
               <div className="summary-label">Highest quality</div>
               {highlights.highestQuality ? (
                 <>
-                  <div className="summary-value highlight-purple">{highlights.highestQuality.metrics.quality}/100</div>
-                  <div className="summary-sub">
-                    {highlights.highestQuality.framework.name} × {highlights.highestQuality.model.name}
+                  <div className={`summary-value ${highlights.highestQuality.winner ? 'highlight-purple' : ''}`}>
+                    {Math.round(highlights.highestQuality.value)}/100
                   </div>
+                  <div className="summary-sub">{creditOf(highlights.highestQuality)}</div>
+                  {highlights.highestQuality.ci && <div className="summary-sub muted">{ciNote(highlights.highestQuality.ci, Math.round)}</div>}
                 </>
               ) : (
-                <div className="summary-empty">No runs yet</div>
+                <div className="summary-empty">{noHighlight}</div>
               )}
             </div>
             <div className="summary-card">
@@ -274,25 +801,104 @@ function App() {
                   <div className="summary-sub">per run across selections</div>
                 </>
               ) : (
-                <div className="summary-empty">No runs yet</div>
+                <div className="summary-empty">{noHighlight}</div>
               )}
             </div>
           </div>
 
+          {hasNonLive && (
+            <label className="toggle">
+              <input type="checkbox" checked={includeNonLive} onChange={(e) => setIncludeNonLive(e.target.checked)} />
+              <span>Count mock and fallback runs in winners</span>
+              <span className="muted">they are simulated, not real completions</span>
+            </label>
+          )}
+
+          {sharedId && (
+            <div className="share-banner">
+              <span>Shared comparison · read-only</span>
+              <button type="button" className="chip" onClick={() => setSharedId(null)}>
+                Use this setup
+              </button>
+            </div>
+          )}
+
+          {repeated && <RunSpread runs={runs} groupKey={statsKey} currency={currency} />}
+
+          {report && (
+            <SuiteReport report={report} title={suite ? 'Suite report' : 'Template report'} frameworks={frameworks} models={models} currency={currency} />
+          )}
+
           <div className="section-header with-margin">
             <span className="section-label">Run matrix</span>
-            <span className="muted">Outputs + per-agent metrics</span>
+            {savedId ? (
+              <div className="export-bar">
+                {exportFormats.map((format) => (
+                  <a key={format.id} className="chip" href={exportUrl(savedId, format.id, { includeNonLive })} download>
+                    {format.label}
+                  </a>
+                ))}
+                <button type="button" className="chip" onClick={copyShareLink}>
+                  {shareNotice || 'Copy share link'}
+                </button>
+              </div>
+            ) : (
+              <span className="muted">Outputs + per-agent metrics</span>
+            )}
           </div>
 
+          {compareError && <div className="summary-empty">Comparison failed: {compareError}</div>}
+
+          {diffPair?.length === 2 ? (
+            <RunDiff
+              before={diffPair[0]}
+              after={diffPair[1]}
+              currency={currency}
+              onClose={() => {
+                setDiffPicks([])
+                setBaseline(null)
+              }}
+            >
+              {driftRuns.length > 1 && (
+                <div className="export-bar">
+                  {driftRuns.map((run) => (
+                    <button
+                      key={run.id}
+                      type="button"
+                      className={`chip ${run === driftRun ? 'chip-active' : ''}`}
+                      onClick={() => setDriftKey(comboKey(run))}
+                    >
+                      {run.framework.name} × {run.model.name}
+                      {run.task && <span className="muted"> · {run.task}</span>}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </RunDiff>
+          ) : baseline ? (
+            <div className="share-banner">
+              <span>No combo on screen also ran in the comparison from {formatTimestamp(baseline.createdAt)}</span>
+              <button type="button" className="chip" onClick={() => setBaseline(null)}>
+                Close
+              </button>
+            </div>
+          ) : (
+            diffPicks.length === 1 && <div className="muted">Pick one more run to diff</div>
+          )}
+
           <div className="run-grid">
             {runs.map((run) => {
-              const isFastest = highlights.fastest?.id === run.id;
-              const isCheapest = highlights.cheapest?.id === run.id;
-              const isBest = highlights.highestQuality?.id === run.id;
+              const fastest = placeIn(highlights.fastest, run, includeNonLive)
+              const cheapest = placeIn(highlights.cheapest, run, includeNonLive)
+              const best = placeIn(highlights.highestQuality, run, includeNonLive)
+              const isFastest = fastest === 'win'
+              const isCheapest = cheapest === 'win'
+              const isBest = best === 'win'
+              const nonLive = !run.loading && !run.error && !isLive(run) ? sourceBadge(run) : null
 
               return (
-                <div key={run.id} className="run-card">
-                  {run.loading && <div className="loading-overlay">Running...</div>}
+                <div key={run.id} className={`run-card ${nonLive ? 'non-live' : ''}`}>
+                  {run.loading && !run.steps.length && !run.output && <div className="loading-overlay">Running...</div>}
                   <div className="run-head">
                     <div className="stack">
                       <span className="dot" style={{ background: run.framework.accent }} />
@@ -301,15 +907,44 @@ function App() {
                         <div className="run-sub">
                           {run.model.name}
                         </div>
+                        {run.task && <div className="run-task">{run.task}</div>}
+                        {repeated && <div className="run-task">Run {run.repetition + 1}</div>}
+                        {run.metrics.retries > 0 && (
+                          <div className="run-task">
+                            ↻ {run.metrics.retries} {run.metrics.retries === 1 ? 'retry' : 'retries'} · waited {(run.metrics.retryWaitMs / 1000).toFixed(1)}s
+                          </div>
+                        )}
                       </div>
                     </div>
                     <div className="badges">
+                      {!run.loading && !baseline && (
+                        <button
+                          type="button"
+                          className={`chip diff-pick ${diffPicks.includes(run.id) ? 'chip-active' : ''}`}
+                          onClick={() => toggleDiffPick(run.id)}
+                          title="Pick two runs to diff their outputs and metrics"
+                        >
+                          {diffPicks.includes(run.id) ? `Diff ${diffPicks.indexOf(run.id) ? 'B' : 'A'}` : 'Diff'}
+                        </button>
+                      )}
+                      {run.loading && <span className="winner-badge live">● Live</span>}
+                      {nonLive && <span className="winner-badge simulated" title={nonLive.title}>{nonLive.label}</span>}
+                      {run.cached && (
+                        <span className="winner-badge cached" title={`Served from cache; produced ${formatTimestamp(run.cachedAt)}. Latency is the cache lookup, not a real run.`}>
+                          ↺ Cached
+                        </span>
+                      )}
                       {isFastest && <span className="winner-badge green">⚡ Fastest</span>}
                       {isCheapest && <span className="winner-badge blue">💎 Cheapest</span>}
                       {isBest && <span className="winner-badge purple">★ Best</span>}
+                      {fastest === 'tie' && <span className="winner-badge tie" title={tieTitle}>⚡ Tie</span>}
+                      {cheapest === 'tie' && <span className="winner-badge tie" title={tieTitle}>💎 Tie</span>}
+                      {best === 'tie' && <span className="winner-badge tie" title={tieTitle}>★ Tie</span>}
                     </div>
                   </div>
 
+                  {run.error && <div className="run-error">{errorLabels[run.status] ?? 'Failed'}: {run.error}</div>}
+
                   <div className="metric-row">
                     <div className="metric">
                       <span className="metric-label">Latency</span>
@@ -317,7 +952,7 @@ function App() {
                     </div>
                     <div className="metric">
                       <span className="metric-label">Tokens</span>
-                      <span className="metric-value">{run.metrics.tokens}</span>
+                      <span className="metric-value" title={`${run.metrics.promptTokens ?? 0} in · ${run.metrics.completionTokens ?? 0} out · ${run.metrics.cachedTokens ?? 0} cached`}>{run.metrics.tokens}</span>
                     </div>
                     <div className="metric">
                       <span className="metric-label">Quality</span>
@@ -325,22 +960,106 @@ function App() {
                     </div>
                     <div className="metric">
                       <span className="metric-label">Cost</span>
-                      <span className={`metric-value ${isCheapest ? 'text-blue' : ''}`}>${run.metrics.cost.toFixed(4)}</span>
+                      <span className={`metric-value ${isCheapest ? 'text-blue' : ''}`}>{formatCost(run.metrics.cost, currency)}</span>
                     </div>
                   </div>
 
-                  <div className="plan">
-                    {run.steps.map((step) => (
-                      <div key={step} className="plan-step">
-                        <span className="tick">●</span>
-                        <span>{step}</span>
-                      </div>
-                    ))}
-                  </div>
+                  {run.analysis && (
+                    <div className="analysis-row" title={run.analysis.missingTerms.length ? `Missing: ${run.analysis.missingTerms.join(', ')}` : 'All key terms covered'}>
+                      <span className="pill">Coverage {run.analysis.coverage}%</span>
+                      <span className="pill">Grade {run.analysis.readabilityGrade}</span>
+                      <span className="pill">
+                        {run.analysis.wordCount} words ({run.analysis.targetWords[0]}–{run.analysis.targetWords[1]})
+                      </span>
+                      {run.analysis.structureExpected && (
+                        <span className="pill">{run.analysis.listItems ? `${run.analysis.listItems} list items` : 'No list'}</span>
+                      )}
+                    </div>
+                  )}
+
+                  {run.trace ? (
+                    <TraceTimeline trace={run.trace} currency={currency} />
+                  ) : (
+                    <div className="plan">
+                      {run.steps.map((step) => (
+                        <div key={step} className="plan-step">
+                          <span className="tick">●</span>
+                          <span>{step}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {run.stages?.length > 0 && (
+                    <table className="stage-table">
+                      <thead>
+                        <tr>
+                          <th>Stage</th>
+                          <th>Tokens</th>
+                          <th>Cost</th>
+                          <th>Latency</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {run.stages.map((stage, i) => (
+                          <tr key={i} className={stage.verdict === 'revise' ? 'text-warn' : undefined}>
+                            <td>
+                              {stage.turn && <span className="muted">Turn {stage.turn} · </span>}
+                              {stage.role}
+                              {stage.round > 1 && <span className="muted"> · round {stage.round}</span>}
+                              {stage.verdict && <span className="muted"> · {stage.verdict}</span>}
+                            </td>
+                            <td>{stage.tokens}</td>
+                            <td>{formatCost(stage.cost, currency)}</td>
+                            <td>{stage.latencyMs} ms</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+
+                  {run.toolCalls?.length > 0 && (
+                    <div className="tool-calls">
+                      <div className="output-label">Tool calls</div>
+                      {run.toolCalls.map((call, i) => (
+                        <div key={i} className="tool-call" title={call.output === undefined ? undefined : String(typeof call.output === 'string' ? call.output : JSON.stringify(call.output))}>
+                          <span className="tool-name">{call.name}</span>
+                          {call.input !== undefined && <span className="muted">{JSON.stringify(call.input)}</span>}
+                          {call.durationMs !== undefined && <span className="muted">{call.durationMs} ms</span>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {run.judge && (
+                    <div className="judge">
+                      <div className="output-label">Judge scores · {run.judge.model}</div>
+                      {run.judge.criteria.map((criterion) => (
+                        <div key={criterion.id} className="judge-row" title={criterion.justification}>
+                          <span className="judge-label">{criterion.label ?? criterion.id}</span>
+                          <span className="judge-score">{criterion.score}</span>
+                          <span className="judge-note">{criterion.justification}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {run.turns?.length > 1 && (
+                    <div className="conversation">
+                      <div className="output-label">Earlier turns</div>
+                      {run.turns.slice(0, -1).map((turn, i) => (
+                        <div key={i} className="conversation-turn">
+                          <div className="muted">User: {turn.user}</div>
+                          <div>{turn.output}</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
 
                   <div className="output">
-                    <div className="output-label">Observed output</div>
+                    <div className="output-label">{run.turns?.length > 1 ? 'Final reply' : 'Observed output'}</div>
                     <div className="output-content">
+                      {/* Runs from before structured traces keep their logs after a LOGS: marker */}
                       {run.output.split('LOGS:').map((part, i) => (
                         <div key={i} className={i === 1 ? 'logs-block' : ''}>
                           {i === 1 && <div className="logs-header">Internal Logs</div>}
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react'
+import { setApiKey } from '../services/api.js'
+
+// Shown when the server answers 401 (asks for an API key) or 429 (rate limited)
+function AccessNotice({ problem, onDismiss }) {
+  const [key, setKey] = useState('')
+
+  // Rate-limit notices clear themselves once the server says it's fine to retry
+  useEffect(() => {
+    if (problem.status !== 429) return
+    const timer = setTimeout(onDismiss, (problem.retryAfter ?? 10) * 1000)
+    return () => clearTimeout(timer)
+  }, [problem, onDismiss])
+
+  if (problem.status === 401) {
+    return (
+      <form
+        className="access-notice"
+        onSubmit={(e) => {
+          e.preventDefault()
+          setApiKey(key.trim())
+          window.location.reload()
+        }}
+      >
+        <span>{problem.error || 'This server needs an API key'}</span>
+        <input type="password" placeholder="API key" value={key} onChange={(e) => setKey(e.target.value)} autoComplete="off" />
+        <button type="submit" className="chip" disabled={!key.trim()}>
+          Save key
+        </button>
+      </form>
+    )
+  }
+
+  return (
+    <div className="access-notice">
+      <span>
+        {problem.error || 'Too many requests'}
+        {problem.retryAfter ? ` · try again in ${problem.retryAfter}s` : ''}
+      </span>
+      <button type="button" className="chip" onClick={onDismiss}>
+        Dismiss
+      </button>
+    </div>
+  )
+}
+
+export default AccessNotice
@@ -0,0 +1,54 @@
+import { useState } from 'react'
+
+// Form for a custom framework profile. `profile` is the one being edited, or null for a new one.
+// Empty optional fields are left out, so the server's defaults apply; traits are comma-separated.
+function ProfileEditor({ profile, onSave, onCancel }) {
+  const [name, setName] = useState(profile?.name ?? '')
+  const [accent, setAccent] = useState(profile?.accent ?? '#99a3b8')
+  const [traits, setTraits] = useState(profile?.traits.join(', ') ?? '')
+  const [stepsHint, setStepsHint] = useState(profile?.stepsHint ?? '')
+  const [systemPrompt, setSystemPrompt] = useState(profile?.systemPrompt ?? '')
+
+  const submit = (event) => {
+    event.preventDefault()
+    onSave({
+      name: name.trim(),
+      accent,
+      traits: traits.split(',').map((trait) => trait.trim()).filter(Boolean),
+      stepsHint: stepsHint.trim() || undefined,
+      systemPrompt: systemPrompt.trim() || undefined,
+    })
+  }
+
+  return (
+    <form className="profile-editor" onSubmit={submit}>
+      <div className="profile-name">
+        <input type="color" value={accent} onChange={(e) => setAccent(e.target.value)} aria-label="Accent colour" />
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Profile name, e.g. Planner-Critic" />
+      </div>
+      <input value={traits} onChange={(e) => setTraits(e.target.value)} placeholder="Traits, comma-separated: Skeptical, Plan-first, Terse" />
+      <textarea
+        value={stepsHint}
+        onChange={(e) => setStepsHint(e.target.value)}
+        rows={2}
+        placeholder="Process: Planner drafts -> Critic reviews -> Planner revises"
+      />
+      <textarea
+        value={systemPrompt}
+        onChange={(e) => setSystemPrompt(e.target.value)}
+        rows={3}
+        placeholder="System prompt (optional): replaces the default framework persona"
+      />
+      <div className="export-bar">
+        <button type="submit" className="chip" disabled={!name.trim()}>
+          {profile ? 'Save profile' : 'Create profile'}
+        </button>
+        <button type="button" className="chip" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default ProfileEditor
@@ -0,0 +1,103 @@
+import { useMemo, useState } from 'react'
+import { diffTexts, metricDeltas } from '../services/diff.js'
+import { formatCost } from '../services/pricing.js'
+
+const modes = [
+  { id: 'word', label: 'Words' },
+  { id: 'sentence', label: 'Sentences' },
+]
+
+const formatMetric = (metric, value, currency, signed = false) => {
+  const sign = signed && value > 0 ? '+' : ''
+  if (metric.money) return `${sign}${formatCost(value, currency)}`
+  const rounded = Number.isInteger(value) ? value : value.toFixed(2)
+  return `${sign}${rounded}${metric.unit ?? ''}`
+}
+
+const runLabel = (run) => `${run.framework.name} × ${run.model.name}`
+
+// Side-by-side diff of two runs (A before B): output changes highlighted per word or
+// sentence, and how each metric moved from A to B. `children` go in the header, e.g. a combo picker.
+function RunDiff({ before, after, currency, onClose, children }) {
+  const [mode, setMode] = useState('word')
+  const diff = useMemo(() => diffTexts(before.run.output, after.run.output, mode), [before.run.output, after.run.output, mode])
+  const deltas = metricDeltas(before.run.metrics, after.run.metrics)
+  const columns = [
+    { side: before, segments: diff.left, name: 'A' },
+    { side: after, segments: diff.right, name: 'B' },
+  ]
+
+  return (
+    <div className="run-diff">
+      <div className="section-header">
+        <span className="section-label">Output diff</span>
+        <div className="export-bar">
+          {modes.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              className={`chip ${mode === option.id ? 'chip-active' : ''}`}
+              onClick={() => setMode(option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button type="button" className="chip" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {children}
+
+      <div className="diff-summary muted">
+        {diff.stats.similarity}% similar · {diff.stats.added} added · {diff.stats.removed} removed · {diff.stats.moved} moved
+        {mode === 'word' ? ' (words)' : ' (sentences)'}
+      </div>
+
+      <div className="diff-columns">
+        {columns.map(({ side, segments, name }) => (
+          <div key={name} className="diff-column">
+            <div className="output-label">
+              {name} · {runLabel(side.run)}
+              {side.label && <span className="muted"> · {side.label}</span>}
+            </div>
+            <div className="output-content">
+              {segments.map((segment, i) => (
+                <span key={i} className={segment.kind === 'same' ? undefined : `diff-${segment.kind}`}>
+                  {segment.text}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <table className="report-table diff-metrics">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>A</th>
+            <th>B</th>
+            <th>B − A</th>
+          </tr>
+        </thead>
+        <tbody>
+          {deltas.map((row) => (
+            <tr key={row.id}>
+              <td>
+                {row.label}
+                <span className="muted"> · {row.better} is better</span>
+              </td>
+              <td>{formatMetric(row, row.before, currency)}</td>
+              <td>{formatMetric(row, row.after, currency)}</td>
+              <td className={`delta-${row.change}`}>{row.change === 'same' ? '=' : formatMetric(row, row.delta, currency, true)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default RunDiff
@@ -0,0 +1,73 @@
+import { summarize } from '../../server/stats.js'
+import { formatCost } from '../services/pricing.js'
+
+const round = (value) => +value.toFixed(2)
+
+// "mean ± std", with the 95% confidence interval of the mean underneath when there is one
+function Spread({ stats, format = round }) {
+  return (
+    <>
+      {format(stats.mean)} <span className="muted">± {format(stats.std)}</span>
+      {stats.ci && (
+        <div className="spread-ci muted">
+          {format(stats.ci[0])} – {format(stats.ci[1])}
+        </div>
+      )}
+    </>
+  )
+}
+
+// Spread of repeated runs per combo (finished runs sharing `groupKey(run)`, across every task on screen):
+// mean ± standard deviation and 95% confidence interval per metric, plus p50/p95 latency
+function RunSpread({ runs, groupKey, currency }) {
+  const groups = new Map()
+  for (const run of runs.filter((r) => !r.loading && !r.error)) {
+    const key = groupKey(run)
+    if (!groups.has(key)) groups.set(key, { key, run, runs: [] })
+    groups.get(key).runs.push(run)
+  }
+  const rows = [...groups.values()].map((group) => ({
+    ...group,
+    stats: Object.fromEntries(['quality', 'latency', 'cost', 'tokens'].map((metric) => [metric, summarize(group.runs.map((r) => r.metrics[metric]))])),
+  }))
+  const seconds = (value) => `${round(value)}s`
+
+  return (
+    <div className="report">
+      <div className="section-header with-margin">
+        <span className="section-label">Spread over repeated runs</span>
+        <span className="muted">mean ± std dev · 95% CI of the mean below</span>
+      </div>
+      <div className="report-scroll">
+        <table className="report-table">
+          <thead>
+            <tr>
+              <th>Combo</th>
+              <th>Runs</th>
+              <th>Quality</th>
+              <th>Latency</th>
+              <th>p50 / p95</th>
+              <th>Cost</th>
+              <th>Tokens</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key}>
+                <td>{row.run.framework.name} × {row.run.model.name}</td>
+                <td>{row.runs.length}</td>
+                <td><Spread stats={row.stats.quality} /></td>
+                <td><Spread stats={row.stats.latency} format={seconds} /></td>
+                <td>{seconds(row.stats.latency.p50)} / {seconds(row.stats.latency.p95)}</td>
+                <td><Spread stats={row.stats.cost} format={(value) => formatCost(value, currency)} /></td>
+                <td><Spread stats={row.stats.tokens} format={Math.round} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default RunSpread
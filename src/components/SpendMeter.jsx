@@ -0,0 +1,39 @@
+import { formatCost } from '../services/pricing.js'
+
+const scopes = [
+  { id: 'comparison', label: 'This comparison' },
+  { id: 'session', label: 'Session' },
+  { id: 'day', label: 'Today' },
+]
+
+// Actual spend against the server's budgets; scopes without a cap just show what was spent
+function SpendMeter({ budget }) {
+  const rows = scopes.filter((scope) => budget[scope.id])
+
+  return (
+    <div className="spend-meter">
+      {rows.map(({ id, label }) => {
+        const { limit, spent, remaining } = budget[id]
+        const used = limit ? Math.min(100, (spent / limit) * 100) : 0
+        return (
+          <div key={id} className="spend-row">
+            <div className="spend-text">
+              <span>{label}</span>
+              <span className="muted">
+                {formatCost(spent, budget.currency)}
+                {limit ? ` of ${formatCost(limit, budget.currency)} · ${formatCost(remaining, budget.currency)} left` : ' · no cap'}
+              </span>
+            </div>
+            {limit && (
+              <div className="spend-bar">
+                <div className={`spend-fill ${used >= 90 ? 'spend-high' : ''}`} style={{ width: `${used}%` }} />
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default SpendMeter
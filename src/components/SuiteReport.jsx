@@ -0,0 +1,85 @@
+import { formatCost } from '../services/pricing.js'
+
+// Aggregate view of a benchmark suite run, or of a template expanded over several rows:
+// per-combo stats, task wins and tag breakdowns
+function SuiteReport({ report, title = 'Suite report', frameworks, models, currency }) {
+  const comboName = (combo) => {
+    const fw = frameworks.find((f) => f.id === combo.frameworkId)?.name ?? combo.frameworkId
+    const model = models.find((m) => m.id === combo.modelId)?.name ?? combo.modelId
+    return `${fw} × ${model}`
+  }
+  const mostWins = Math.max(...report.combos.map((c) => c.wins))
+
+  return (
+    <div className="report">
+      <div className="section-header with-margin">
+        <span className="section-label">{title}</span>
+        <span className="muted">{report.tasks} tasks · mean (median)</span>
+      </div>
+
+      <div className="report-scroll">
+        <table className="report-table">
+          <thead>
+            <tr>
+              <th>Combo</th>
+              <th>Quality</th>
+              <th>Coverage</th>
+              <th>Safety</th>
+              <th>Latency</th>
+              <th>Cost</th>
+              <th>Wins</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.combos.map((combo) => (
+              <tr key={combo.id}>
+                <td>
+                  {comboName(combo)}
+                  {combo.errors > 0 && <span className="muted"> · {combo.errors} failed</span>}
+                  {combo.skipped > 0 && <span className="muted"> · {combo.skipped} skipped</span>}
+                </td>
+                <td>{combo.mean.quality} ({combo.median.quality})</td>
+                <td>{combo.mean.coverage} ({combo.median.coverage})</td>
+                <td>{combo.mean.safety} ({combo.median.safety})</td>
+                <td>{combo.mean.latency}s ({combo.median.latency}s)</td>
+                <td>{formatCost(combo.mean.cost, currency)}</td>
+                <td className={combo.wins === mostWins && mostWins > 0 ? 'text-purple' : ''}>
+                  {combo.wins}/{report.tasks}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {report.tags.length > 0 && (
+        <div className="report-scroll">
+          <table className="report-table">
+            <thead>
+              <tr>
+                <th>Tag (mean quality)</th>
+                {report.combos.map((combo) => (
+                  <th key={combo.id}>{comboName(combo)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {report.tags.map((tag) => (
+                <tr key={tag.tag}>
+                  <td>
+                    {tag.tag} <span className="muted">· {tag.tasks} tasks</span>
+                  </td>
+                  {report.combos.map((combo) => (
+                    <td key={combo.id}>{tag.combos.find((c) => c.id === combo.id)?.mean.quality ?? '–'}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SuiteReport
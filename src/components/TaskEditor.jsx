@@ -0,0 +1,131 @@
+import { useState } from 'react'
+import { sameTask, taskLabel } from '../services/templates.js'
+import { isConversation, variablesOf } from '../../server/tasks.js'
+
+// Editor for the comparison's task: one prompt, or a conversation (an optional system
+// prompt plus user turns). When the task uses {{variables}}, a table of values appears and
+// each row becomes its own run. Saved templates load into the editor from the chips below.
+function TaskEditor({ task, onChange, values, onValuesChange, templates, activeTemplate, onLoadTemplate, onSaveTemplate, onDeleteTemplate }) {
+  const [name, setName] = useState('')
+  const conversation = isConversation(task)
+  const variables = variablesOf(task)
+  const edited = activeTemplate && !sameTask(activeTemplate.task, task)
+
+  const setTurn = (index, text) => onChange({ ...task, turns: task.turns.map((turn, i) => (i === index ? text : turn)) })
+  const removeTurn = (index) => onChange({ ...task, turns: task.turns.filter((_, i) => i !== index) })
+  const setValue = (index, variable, value) =>
+    onValuesChange(values.map((row, i) => (i === index ? { ...row, [variable]: value } : row)))
+
+  const save = async (event) => {
+    event.preventDefault()
+    if (await onSaveTemplate({ name: name.trim() })) setName('')
+  }
+
+  return (
+    <>
+      <label className="toggle">
+        <input
+          type="checkbox"
+          checked={conversation}
+          onChange={() => onChange(conversation ? task.turns[0] : { system: '', turns: [task] })}
+        />
+        <span>Conversation</span>
+        <span className="muted">system prompt and several user turns</span>
+      </label>
+
+      {conversation ? (
+        <div className="turns">
+          <textarea
+            value={task.system ?? ''}
+            onChange={(e) => onChange({ ...task, system: e.target.value })}
+            rows={2}
+            placeholder="System prompt (optional)"
+          />
+          {task.turns.map((turn, i) => (
+            <div key={i} className="turn">
+              <span className="tick">{i + 1}</span>
+              <textarea value={turn} onChange={(e) => setTurn(i, e.target.value)} rows={3} placeholder={i ? 'Follow-up from the user...' : 'First user message...'} />
+              {task.turns.length > 1 && (
+                <button type="button" className="history-delete" onClick={() => removeTurn(i)} aria-label={`Remove turn ${i + 1}`}>
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+          <button type="button" className="chip" onClick={() => onChange({ ...task, turns: [...task.turns, ''] })}>
+            Add user turn
+          </button>
+        </div>
+      ) : (
+        <textarea
+          value={task}
+          onChange={(e) => onChange(e.target.value)}
+          rows={5}
+          placeholder="Describe the task you want every agent to run... Use {{name}} for values that change between runs."
+        />
+      )}
+
+      {variables.length > 0 && (
+        <div className="values">
+          <div className="section-header">
+            <span className="output-label">Values</span>
+            <span className="muted">one run per row</span>
+          </div>
+          <table className="values-table">
+            <thead>
+              <tr>
+                {variables.map((variable) => (
+                  <th key={variable}>{variable}</th>
+                ))}
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {values.map((row, i) => (
+                <tr key={i}>
+                  {variables.map((variable) => (
+                    <td key={variable}>
+                      <input value={row[variable] ?? ''} onChange={(e) => setValue(i, variable, e.target.value)} aria-label={`${variable}, row ${i + 1}`} />
+                    </td>
+                  ))}
+                  <td>
+                    {values.length > 1 && (
+                      <button type="button" className="history-delete" onClick={() => onValuesChange(values.filter((_, j) => j !== i))} aria-label={`Remove row ${i + 1}`}>
+                        ×
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button type="button" className="chip" onClick={() => onValuesChange([...values, {}])}>
+            Add row
+          </button>
+        </div>
+      )}
+
+      <div className="chips">
+        {templates.map((template) => (
+          <span key={template.id} className={`template-chip ${activeTemplate?.id === template.id ? 'chip-active' : ''}`}>
+            <button type="button" className="template-load" onClick={() => onLoadTemplate(template)} title={taskLabel(template.task)}>
+              {template.name}
+              {template.variables.length > 0 && <span className="muted"> · {template.variables.map((v) => `{{${v}}}`).join(' ')}</span>}
+            </button>
+            <button type="button" className="history-delete" onClick={() => onDeleteTemplate(template.id)} aria-label={`Delete template ${template.name}`}>
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+      <form className="template-save" onSubmit={save}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder={edited ? `Name, or leave empty to update "${activeTemplate.name}"` : 'Template name'} />
+        <button type="submit" className="chip" disabled={!name.trim() && !edited}>
+          {!name.trim() && edited ? 'Update template' : 'Save as template'}
+        </button>
+      </form>
+    </>
+  )
+}
+
+export default TaskEditor
@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import { formatCost } from '../services/pricing.js'
+
+const typeLabels = { run: 'Run', llm: 'LLM call', tool: 'Tool call', handoff: 'Handoff', critique: 'Critique' }
+
+// Depth-first span order, siblings by start time, with each span's nesting depth
+const orderSpans = (spans) => {
+  const ordered = []
+  const visit = (parentId, depth) => {
+    spans
+      .filter((span) => span.parentId === parentId)
+      .sort((a, b) => a.startMs - b.startMs)
+      .forEach((span) => {
+        ordered.push({ span, depth })
+        visit(span.id, depth + 1)
+      })
+  }
+  visit(null, 0)
+  return ordered
+}
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`)
+
+// Waterfall view of a run's trace (see server/trace.js). Collapsed it shows the run as one
+// strip of spans; expanded, one row per span, and clicking a row shows its events.
+function TraceTimeline({ trace, currency }) {
+  const [open, setOpen] = useState(false)
+  const [selected, setSelected] = useState(null)
+  const rows = orderSpans(trace.spans)
+  const total = Math.max(trace.durationMs, 1)
+  const place = (span) => ({
+    left: `${(span.startMs / total) * 100}%`,
+    width: `${Math.max(((span.endMs - span.startMs) / total) * 100, 0.5)}%`,
+  })
+  const root = rows[0]?.span
+  const children = rows.filter(({ depth }) => depth > 0)
+
+  return (
+    <div className="trace">
+      <button type="button" className="trace-toggle" onClick={() => setOpen((value) => !value)}>
+        <span className="output-label">Timeline</span>
+        <span className="muted">
+          {children.length} spans · {formatMs(trace.durationMs)}
+          {root?.tokens ? ` · ${root.tokens} tokens` : ''}
+        </span>
+        <span className="muted">{open ? '▾' : '▸'}</span>
+      </button>
+
+      {!open && (
+        <div className="trace-strip">
+          {children.map(({ span }) => (
+            <div key={span.id} className={`trace-bar span-${span.type}`} style={place(span)} title={`${span.agent} · ${span.name}`} />
+          ))}
+        </div>
+      )}
+
+      {root?.error && <div className="run-error">Live run failed ({root.error}); showing a simulated trace.</div>}
+
+      {open && (
+        <div className="trace-rows">
+          {rows.map(({ span, depth }) => (
+            <div key={span.id}>
+              <button
+                type="button"
+                className={`trace-row ${selected === span.id ? 'trace-row-active' : ''}`}
+                onClick={() => setSelected(selected === span.id ? null : span.id)}
+              >
+                <span className="trace-label" style={{ paddingLeft: depth * 12 }}>
+                  <span className={`trace-type span-${span.type}`}>{typeLabels[span.type] ?? span.type}</span>
+                  <span>{span.name}</span>
+                  {span.agent && span.agent !== span.name && <span className="muted">{span.agent}</span>}
+                </span>
+                <span className="trace-track">
+                  <span className={`trace-bar span-${span.type}`} style={place(span)} />
+                </span>
+                <span className="trace-duration muted">{formatMs(span.endMs - span.startMs)}</span>
+              </button>
+              {selected === span.id && (
+                <div className="trace-detail">
+                  <div className="muted">
+                    {formatMs(span.startMs)} → {formatMs(span.endMs)}
+                    {span.tokens ? ` · ${span.tokens} tokens` : ''}
+                    {span.usage ? ` (${span.usage.promptTokens} in, ${span.usage.completionTokens} out)` : ''}
+                    {span.cost ? ` · ${formatCost(span.cost, currency)}` : ''}
+                    {span.verdict ? ` · ${span.verdict}` : ''}
+                  </div>
+                  {span.error && <div className="run-error">{span.error}</div>}
+                  {(span.events ?? []).map((event, i) => (
+                    <div key={i} className={`trace-event ${event.kind === 'log' ? 'trace-log' : ''}`}>
+                      <span className="muted">{formatMs(event.atMs)}</span>
+                      <span>{event.message}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TraceTimeline
@@ -0,0 +1,43 @@
+// src/services/api.js
+// Every call to /api goes through apiFetch, which adds the session id and, when the server
+// asks for one, the API key. 401 and 429 answers are also reported to onAccessProblem listeners.
+import { sessionHeaders } from './session.js'
+
+const KEY_STORAGE = 'agentic-compare-api-key'
+
+export function getApiKey() {
+  return localStorage.getItem(KEY_STORAGE) ?? ''
+}
+
+export function setApiKey(key) {
+  if (key) localStorage.setItem(KEY_STORAGE, key)
+  else localStorage.removeItem(KEY_STORAGE)
+}
+
+const listeners = new Set()
+
+// `listener` receives { status, error, retryAfter }. Returns an unsubscribe function.
+export function onAccessProblem(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export async function apiFetch(url, init = {}) {
+  const key = getApiKey()
+  const res = await fetch(url, {
+    ...init,
+    headers: { ...sessionHeaders(), ...(key && { Authorization: `Bearer ${key}` }), ...init.headers },
+  })
+  if (res.status === 401 || res.status === 429) {
+    const data = await res.clone().json().catch(() => ({}))
+    for (const listener of listeners) listener({ status: res.status, error: data.error, retryAfter: data.retryAfter })
+  }
+  return res
+}
+
+// EventSource and download links can't send headers, so they carry the key in the query string
+export function withAccessToken(url) {
+  const key = getApiKey()
+  if (!key) return url
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(key)}`
+}
@@ -0,0 +1,8 @@
+// src/services/budget.js
+import { apiFetch } from './api.js'
+
+export async function fetchBudget() {
+  const res = await apiFetch('/api/budget')
+  if (!res.ok) throw new Error(`Budget error: ${res.status}`)
+  return res.json() // expect { currency, comparison, session, day: { limit, spent, remaining } }
+}
@@ -0,0 +1,8 @@
+// src/services/catalog.js
+import { apiFetch } from './api.js'
+
+export async function fetchCatalog() {
+  const res = await apiFetch('/api/catalog')
+  if (!res.ok) throw new Error(`Catalog error: ${res.status}`)
+  return res.json() // expect { frameworks, models }
+}
@@ -0,0 +1,34 @@
+// src/services/compare.js
+import { apiFetch, withAccessToken } from './api.js'
+import { apiError } from './errors.js'
+
+// `noCache` makes the server re-run every combo instead of serving cached results.
+// `task` is a string or a conversation; with `values`, it is expanded into one task per row.
+// `template` names the saved template the task came from; `repetitions` runs each combo that many times.
+export async function startComparison({ task, template, values, frameworks, models, repetitions, noCache }) {
+  const res = await apiFetch('/api/compare', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ task, template, values, frameworks, models, repetitions, noCache }),
+  })
+  if (!res.ok) throw await apiError(res, `Compare error: ${res.status}`)
+  return res.json() // expect { id, status }
+}
+
+// Subscribes to a comparison's live events over SSE. `handlers` may define
+// snapshot, cell, step, token, tool, spend, done and error. Returns a function that closes the stream.
+export function subscribeComparison(id, handlers) {
+  const source = new EventSource(withAccessToken(`/api/compare/${encodeURIComponent(id)}/events`))
+  for (const event of ['snapshot', 'cell', 'step', 'token', 'tool', 'spend']) {
+    source.addEventListener(event, (e) => handlers[event]?.(JSON.parse(e.data)))
+  }
+  source.addEventListener('done', (e) => {
+    source.close()
+    handlers.done?.(JSON.parse(e.data))
+  })
+  // EventSource retries dropped connections by itself; CLOSED means it gave up
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) handlers.error?.(new Error('Lost connection to comparison'))
+  }
+  return () => source.close()
+}
@@ -0,0 +1,146 @@
+// src/services/diff.js
+// Output diff for the run diff view. Texts are split into words or sentences and aligned
+// with a longest-common-subsequence pass; what is left over is added or removed, and a
+// removed stretch that shows up again among the additions is marked moved on both sides.
+
+// Words keep their trailing whitespace; sentences end at . ! ? or a line break
+const splitters = {
+  word: (text) => text.match(/\S+\s*/g) ?? [],
+  sentence: (text) => text.match(/[^.!?\n]+[.!?]*[ \t]*|\n+/g) ?? [],
+}
+
+// Shortest stretch (in tokens) that counts as moved, so a repeated "of the" doesn't
+const minMoved = { word: 3, sentence: 1 }
+
+const keyOf = (token) => token.trim().replace(/\s+/g, ' ')
+
+// Pairs of equal-key indexes (i in a, j in b) in order, trimming the shared ends first
+const commonPairs = (a, b) => {
+  let head = 0
+  while (head < a.length && head < b.length && a[head] === b[head]) head += 1
+  let tail = 0
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail += 1
+
+  const n = a.length - head - tail
+  const m = b.length - head - tail
+  const lengths = new Int32Array((n + 1) * (m + 1))
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lengths[i * (m + 1) + j] = a[head + i] === b[head + j]
+        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1])
+    }
+  }
+
+  const pairs = []
+  for (let k = 0; k < head; k += 1) pairs.push([k, k])
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (a[head + i] === b[head + j]) {
+      pairs.push([head + i, head + j])
+      i += 1
+      j += 1
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      i += 1
+    } else {
+      j += 1
+    }
+  }
+  for (let k = tail; k > 0; k -= 1) pairs.push([a.length - k, b.length - k])
+  return pairs
+}
+
+// Runs of consecutive indexes with `kind` on one side, ignoring separator-only tokens
+const stretches = (segments, kind) => {
+  const runs = []
+  let current = null
+  segments.forEach((segment, index) => {
+    if (segment.kind === kind && segment.key) {
+      if (!current) runs.push((current = []))
+      current.push(index)
+    } else if (segment.kind !== kind) {
+      current = null
+    }
+  })
+  return runs
+}
+
+// Longest run of equal keys shared by two index lists: { from, to, length }
+const longestShared = (left, right, a, b) => {
+  let best = { from: 0, to: 0, length: 0 }
+  const row = new Int32Array(b.length + 1)
+  for (let i = 0; i < a.length; i += 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      row[j + 1] = left[a[i]].key === right[b[j]].key ? row[j] + 1 : 0
+      if (row[j + 1] > best.length) best = { from: i - row[j + 1] + 1, to: j - row[j + 1] + 1, length: row[j + 1] }
+    }
+  }
+  return best
+}
+
+// Marks text that was removed in one place and added in another as moved, on both sides,
+// longest shared stretch first, so a moved sentence that was also edited still shows as moved
+const markMoved = (left, right, mode) => {
+  for (;;) {
+    let best = { length: 0 }
+    for (const removed of stretches(left, 'removed')) {
+      for (const added of stretches(right, 'added')) {
+        const shared = longestShared(left, right, removed, added)
+        if (shared.length > best.length) best = { ...shared, removed, added }
+      }
+    }
+    if (best.length < minMoved[mode]) return
+    best.removed.slice(best.from, best.from + best.length).forEach((index) => { left[index].kind = 'moved' })
+    best.added.slice(best.to, best.to + best.length).forEach((index) => { right[index].kind = 'moved' })
+  }
+}
+
+// Diffs two outputs. `mode` is 'word' or 'sentence'. Returns the segments of each side
+// ({ text, kind }: 'same', 'removed' or 'moved' on the left, 'same', 'added' or 'moved'
+// on the right) and counts in tokens of that mode. `similarity` is 0-100.
+export function diffTexts(before = '', after = '', mode = 'word') {
+  const split = splitters[mode] ?? splitters.word
+  const left = split(before).map((text) => ({ text, key: keyOf(text), kind: 'removed' }))
+  const right = split(after).map((text) => ({ text, key: keyOf(text), kind: 'added' }))
+
+  for (const [i, j] of commonPairs(left.map((s) => s.key), right.map((s) => s.key))) {
+    left[i].kind = 'same'
+    right[j].kind = 'same'
+  }
+  markMoved(left, right, mode)
+
+  const count = (segments, kind) => segments.filter((s) => s.kind === kind && s.key).length
+  const same = count(left, 'same')
+  const total = left.filter((s) => s.key).length + right.filter((s) => s.key).length
+  const strip = ({ text, kind }) => ({ text, kind })
+  return {
+    left: left.map(strip),
+    right: right.map(strip),
+    stats: {
+      same,
+      added: count(right, 'added'),
+      removed: count(left, 'removed'),
+      moved: count(right, 'moved'),
+      similarity: total ? Math.round(((2 * (same + count(right, 'moved'))) / total) * 100) : 100,
+    },
+  }
+}
+
+// Metric rows for the delta table; `better` says which direction is an improvement
+export const diffMetrics = [
+  { id: 'quality', label: 'Quality', better: 'higher' },
+  { id: 'coverage', label: 'Coverage', better: 'higher' },
+  { id: 'safety', label: 'Safety', better: 'higher' },
+  { id: 'latency', label: 'Latency', better: 'lower', unit: 's' },
+  { id: 'tokens', label: 'Tokens', better: 'lower' },
+  { id: 'cost', label: 'Cost', better: 'lower', money: true },
+]
+
+// B minus A for each metric, with whether the change is an improvement ('better', 'worse' or 'same')
+export const metricDeltas = (a, b) =>
+  diffMetrics.map((metric) => {
+    const before = a?.[metric.id] ?? 0
+    const after = b?.[metric.id] ?? 0
+    const delta = after - before
+    const improved = metric.better === 'higher' ? delta > 0 : delta < 0
+    return { ...metric, before, after, delta, change: delta === 0 ? 'same' : improved ? 'better' : 'worse' }
+  })
@@ -0,0 +1,20 @@
+// src/services/errors.js
+// Server validation failures are 400 { error, fields: [{ field, message, value }] }.
+// `fields` stays on the thrown error so the UI can show each problem on the card it concerns.
+const labelOf = (field) => {
+  if (field.startsWith('frameworks[')) return 'Framework'
+  if (field.startsWith('models[') || field === 'modelId') return 'Model'
+  return field.charAt(0).toUpperCase() + field.slice(1)
+}
+
+export function describeField({ field, message, value }) {
+  return `${labelOf(field)} ${value !== undefined ? `"${value}" ` : ''}${message}`
+}
+
+export async function apiError(res, fallback) {
+  const data = await res.json().catch(() => ({}))
+  const err = new Error(data.fields?.length ? data.fields.map(describeField).join('; ') : data.error || fallback)
+  err.status = res.status
+  err.fields = data.fields ?? []
+  return err
+}
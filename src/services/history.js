@@ -0,0 +1,43 @@
+// src/services/history.js
+import { apiFetch, withAccessToken } from './api.js'
+
+export async function listRuns() {
+  const res = await apiFetch('/api/runs')
+  if (!res.ok) throw new Error(`History error: ${res.status}`)
+  return res.json() // expect [{ id, task, frameworks, models, createdAt, runs }]
+}
+
+export async function getRun(id) {
+  const res = await apiFetch(`/api/runs/${encodeURIComponent(id)}`)
+  if (!res.ok) throw new Error(`History error: ${res.status}`)
+  return res.json() // expect { id, task, frameworks, models, createdAt, cells }
+}
+
+export async function deleteRun(id) {
+  const res = await apiFetch(`/api/runs/${encodeURIComponent(id)}`, { method: 'DELETE' })
+  if (!res.ok) throw new Error(`History error: ${res.status}`)
+}
+
+// Task wins and leaders skip mock and fallback runs unless `includeNonLive` is set
+export async function getRunReport(id, { includeNonLive = false } = {}) {
+  const res = await apiFetch(`/api/runs/${encodeURIComponent(id)}/report${includeNonLive ? '?includeNonLive=true' : ''}`)
+  if (!res.ok) throw new Error(`History error: ${res.status}`)
+  return res.json() // expect { tasks, combos, taskWinners, tags }
+}
+
+// Download link for a stored comparison; format is csv, json, md or html.
+// Highlights skip mock and fallback runs unless `includeNonLive` is set.
+export const exportUrl = (id, format, { includeNonLive = false } = {}) =>
+  withAccessToken(`/api/runs/${encodeURIComponent(id)}/export/${format}${includeNonLive ? '?includeNonLive=true' : ''}`)
+
+export async function shareRun(id) {
+  const res = await apiFetch(`/api/runs/${encodeURIComponent(id)}/share`, { method: 'POST' })
+  if (!res.ok) throw new Error(`Share error: ${res.status}`)
+  return res.json() // expect { shareId }
+}
+
+export async function getSharedRun(shareId) {
+  const res = await apiFetch(`/api/share/${encodeURIComponent(shareId)}`)
+  if (!res.ok) throw new Error(res.status === 404 ? 'This shared comparison no longer exists' : `Share error: ${res.status}`)
+  return res.json() // same shape as getRun
+}
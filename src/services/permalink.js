@@ -0,0 +1,78 @@
+// src/services/permalink.js
+// The comparison setup lives in the query string so the address bar is always a working link:
+//   ?task=...&frameworks=langgraph,crewai&models=gpt-41&suite=starter&repetitions=3&noCache=1
+// A conversation task goes in `conversation` and template value rows in `values`, both as JSON,
+// with `template` naming the saved template they came from.
+// A shared result uses ?share=<shareId> instead and opens read-only.
+import { isConversation } from '../../server/tasks.js'
+
+// Same cap as the server's validation
+export const maxRepetitions = 20
+
+const list = (value) => (value ? value.split(',').filter(Boolean) : undefined)
+
+// Hand-edited links can hold anything; whatever doesn't parse is ignored
+const json = (value) => {
+  try {
+    return value ? JSON.parse(value) : undefined
+  } catch {
+    return undefined
+  }
+}
+
+const conversationOf = (value) => {
+  const parsed = json(value)
+  return isConversation(parsed) && parsed.turns.every((turn) => typeof turn === 'string') ? parsed : undefined
+}
+
+const valuesOf = (value) => {
+  const parsed = json(value)
+  return Array.isArray(parsed) && parsed.length && parsed.every((row) => row && typeof row === 'object' && !Array.isArray(row))
+    ? parsed
+    : undefined
+}
+
+const repetitionsOf = (value) => {
+  const parsed = Math.floor(Number(value))
+  return parsed >= 1 ? Math.min(parsed, maxRepetitions) : undefined
+}
+
+export function readPermalink(search = window.location.search) {
+  const params = new URLSearchParams(search)
+  return {
+    task: conversationOf(params.get('conversation')) ?? params.get('task') ?? undefined,
+    values: valuesOf(params.get('values')),
+    template: params.get('template') ?? undefined,
+    frameworks: list(params.get('frameworks')),
+    models: list(params.get('models')),
+    suite: params.get('suite') ?? undefined,
+    repetitions: repetitionsOf(params.get('repetitions')),
+    noCache: params.get('noCache') === '1' || undefined,
+    share: params.get('share') ?? undefined,
+  }
+}
+
+export function setupQuery({ task, values, template, frameworks, models, suite, repetitions, noCache }) {
+  const params = new URLSearchParams()
+  if (suite) {
+    params.set('suite', suite)
+  } else {
+    if (isConversation(task)) params.set('conversation', JSON.stringify(task))
+    else if (typeof task === 'string' && task) params.set('task', task)
+    if (values?.some((row) => Object.keys(row).length)) params.set('values', JSON.stringify(values))
+    if (template) params.set('template', template)
+  }
+  if (frameworks?.length) params.set('frameworks', frameworks.join(','))
+  if (models?.length) params.set('models', models.join(','))
+  if (repetitions > 1) params.set('repetitions', String(repetitions))
+  if (noCache) params.set('noCache', '1')
+  return params.toString()
+}
+
+export function writePermalink(state) {
+  const query = state.share ? `share=${encodeURIComponent(state.share)}` : setupQuery(state)
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}`
+  if (url !== `${window.location.pathname}${window.location.search}`) window.history.replaceState(null, '', url)
+}
+
+export const shareUrl = (shareId) => `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(shareId)}`
@@ -0,0 +1,23 @@
+// src/services/pricing.js
+import { apiFetch } from './api.js'
+import { apiError } from './errors.js'
+
+export async function estimateCost({ task, values, suite, frameworks, models, repetitions }) {
+  const res = await apiFetch('/api/estimate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ task, values, suite, frameworks, models, repetitions }),
+  })
+  if (!res.ok) throw await apiError(res, `Estimate error: ${res.status}`)
+  return res.json() // expect { currency, runs, total, perModel: [{ modelId, runs, cost }] }
+}
+
+// Costs are tiny per run, so show 4 decimals; per-1M rates read fine with 2-3
+export function formatCost(value, currency = 'USD', digits = 4) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: Math.min(digits, 2),
+    maximumFractionDigits: digits,
+  }).format(value ?? 0)
+}
@@ -0,0 +1,31 @@
+// src/services/profiles.js
+import { apiFetch } from './api.js'
+import { apiError } from './errors.js'
+
+// Custom framework profiles: { name, accent, traits, stepsHint, systemPrompt? }.
+// The catalog lists them with the built-in frameworks, marked `custom`; these return the same shape.
+
+export async function createProfile(profile) {
+  const res = await apiFetch('/api/profiles', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(profile),
+  })
+  if (!res.ok) throw await apiError(res, `Profiles error: ${res.status}`)
+  return res.json()
+}
+
+export async function updateProfile(id, profile) {
+  const res = await apiFetch(`/api/profiles/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(profile),
+  })
+  if (!res.ok) throw await apiError(res, `Profiles error: ${res.status}`)
+  return res.json()
+}
+
+export async function deleteProfile(id) {
+  const res = await apiFetch(`/api/profiles/${encodeURIComponent(id)}`, { method: 'DELETE' })
+  if (!res.ok) throw new Error(`Profiles error: ${res.status}`)
+}
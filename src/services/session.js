@@ -0,0 +1,16 @@
+// src/services/session.js
+// One id per browser tab session; the server charges spend budgets to it
+const STORAGE_KEY = 'agentic-compare-session'
+
+export function sessionId() {
+  let id = sessionStorage.getItem(STORAGE_KEY)
+  if (!id) {
+    id = crypto.randomUUID()
+    sessionStorage.setItem(STORAGE_KEY, id)
+  }
+  return id
+}
+
+export function sessionHeaders() {
+  return { 'X-Session-Id': sessionId() }
+}
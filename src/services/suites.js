@@ -0,0 +1,25 @@
+// src/services/suites.js
+import { apiFetch } from './api.js'
+import { apiError } from './errors.js'
+
+export async function listSuites() {
+  const res = await apiFetch('/api/suites')
+  if (!res.ok) throw new Error(`Suites error: ${res.status}`)
+  return res.json() // expect [{ id, name, tasks, tags }]
+}
+
+export async function getSuite(id) {
+  const res = await apiFetch(`/api/suites/${encodeURIComponent(id)}`)
+  if (!res.ok) throw new Error(`Suites error: ${res.status}`)
+  return res.json() // expect { id, name, tasks: [{ task, reference, tags, rubric }] }
+}
+
+export async function runSuite(id, { frameworks, models, repetitions, noCache }) {
+  const res = await apiFetch(`/api/suites/${encodeURIComponent(id)}/run`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ frameworks, models, repetitions, noCache }),
+  })
+  if (!res.ok) throw await apiError(res, `Suites error: ${res.status}`)
+  return res.json() // expect { id, status }
+}
@@ -0,0 +1,53 @@
+// src/services/templates.js
+import { apiFetch } from './api.js'
+import { apiError } from './errors.js'
+import { isConversation } from '../../server/tasks.js'
+
+// A task is a string or a conversation { system?, turns: [string] }; either may use {{variables}}
+// (see server/tasks.js)
+
+export async function listTemplates() {
+  const res = await apiFetch('/api/templates')
+  if (!res.ok) throw new Error(`Templates error: ${res.status}`)
+  return res.json() // expect [{ id, name, task, variables, createdAt, updatedAt }]
+}
+
+export async function createTemplate({ name, task }) {
+  const res = await apiFetch('/api/templates', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, task }),
+  })
+  if (!res.ok) throw await apiError(res, `Templates error: ${res.status}`)
+  return res.json()
+}
+
+export async function updateTemplate(id, { name, task }) {
+  const res = await apiFetch(`/api/templates/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, task }),
+  })
+  if (!res.ok) throw await apiError(res, `Templates error: ${res.status}`)
+  return res.json()
+}
+
+export async function deleteTemplate(id) {
+  const res = await apiFetch(`/api/templates/${encodeURIComponent(id)}`, { method: 'DELETE' })
+  if (!res.ok) throw new Error(`Templates error: ${res.status}`)
+}
+
+export const taskReady = (task) => (isConversation(task) ? task.turns.every((turn) => turn.trim()) : Boolean(task?.trim()))
+
+// One line naming a task: the text itself, or a conversation's first turn and how many follow
+export const taskLabel = (task) => {
+  if (!isConversation(task)) return task ?? ''
+  const more = task.turns.length - 1
+  return more ? `${task.turns[0]} (+${more} ${more === 1 ? 'turn' : 'turns'})` : task.turns[0]
+}
+
+// What the server accepts: a conversation's blank system prompt is left out
+export const cleanTask = (task) =>
+  isConversation(task) ? { ...(task.system?.trim() && { system: task.system }), turns: task.turns } : task
+
+export const sameTask = (a, b) => JSON.stringify(cleanTask(a)) === JSON.stringify(cleanTask(b))